@@ -0,0 +1,888 @@
+/**
+ * Tagger server companion
+ * Reads the Tagger cookies of a request and implements the remote sync protocol for Node.js.
+ */
+
+import { tagger } from "./tagger.js";
+
+const taggerServer = {
+    /**
+     * Number of events kept per user by the default events handler.
+     * @type {number}
+     */
+    MAX_STORED_EVENTS: 1000,
+
+    /**
+     * Default size limit of the request bodies read by the sync handler, in bytes.
+     * @type {number}
+     */
+    MAX_BODY_SIZE: 1048576,
+
+    //-----------------------------
+    // Cookie functions
+    //-----------------------------
+
+    /**
+     * Parses a Cookie request header.
+     * @param {string} header - The Cookie header, e.g. req.headers.cookie.
+     * @returns {Object<string, string>} - The raw cookie values by name.
+     */
+    parseCookies: function (header) {
+        const cookies = {};
+        if (typeof header !== "string") {
+            return cookies;
+        }
+
+        header.split(";").forEach((cookie) => {
+            const index = cookie.indexOf("=");
+            if (index < 1) return;
+
+            const name = cookie.slice(0, index).trim();
+            const value = cookie.slice(index + 1).trim();
+            if (name && !(name in cookies)) {
+                cookies[name] = value;
+            }
+        });
+
+        return cookies;
+    },
+
+    /**
+     * Decodes a value stored by Tagger, base64 of the URI encoded JSON.
+     * @param {string} value - The stored value.
+     * @returns {any} - The decoded value or null if it can't be decoded.
+     */
+    decodeStoredValue: function (value) {
+        try {
+            return JSON.parse(decodeURIComponent(atob(decodeURIComponent(value))));
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Reads the Tagger data from the cookies of a request, for server-side rendering and attribution.
+     * Individually stored params (__tg-param-*) are merged into userParams, like in the browser.
+     * @param {string|object} request - The Cookie header, or a request with headers.cookie.
+     * @param {object} [options={}] - The storagePrefix of the Tagger instance (default: "__tg-").
+     * @returns {object} - The decoded data by key, e.g. { userID, userParams, firstTouch, consent }.
+     */
+    readCookies: function (request, options = {}) {
+        const header = typeof request === "string" ? request : request?.headers?.cookie;
+        const prefix = options.storagePrefix ?? "__tg-";
+        const paramPrefix = prefix + "param-";
+        const cookies = this.parseCookies(header);
+
+        const data = {};
+        const cookieParams = {};
+        for (const name in cookies) {
+            if (!name.startsWith(prefix)) continue;
+
+            if (name.startsWith(paramPrefix)) {
+                // Param cookies hold the plain base64 value
+                try {
+                    const param = name.slice(paramPrefix.length);
+                    if (param) cookieParams[param] = tagger.utilSanitizeString(atob(decodeURIComponent(cookies[name]).trim()));
+                } catch (e) {
+                    console.warn("[Tagger] Error decoding cookie value:", name);
+                }
+                continue;
+            }
+
+            const value = this.decodeStoredValue(cookies[name]);
+            if (value !== null) {
+                data[name.slice(prefix.length)] = value;
+            }
+        }
+
+        if (Object.keys(cookieParams).length) {
+            data.userParams = { ...cookieParams, ...(data.userParams ?? {}) };
+        }
+
+        return data;
+    },
+
+    //-----------------------------
+    // Store functions
+    //-----------------------------
+
+    /**
+     * Creates an in-memory store, for tests and local development.
+     * Stores implement async get, set and delete of JSON values by string key,
+     * so a database or cache can be plugged into the sync handler instead.
+     * @returns {object} - The store.
+     */
+    createMemoryStore: function () {
+        const entries = new Map();
+        return {
+            get: async (key) => (entries.has(key) ? structuredClone(entries.get(key)) : null),
+            set: async (key, value) => {
+                entries.set(key, structuredClone(value));
+            },
+            delete: async (key) => {
+                entries.delete(key);
+            },
+        };
+    },
+
+    //-----------------------------
+    // Sync handler functions
+    //-----------------------------
+
+    /**
+     * Creates a Node.js request handler implementing the remote sync protocol, for http.createServer or Express.
+     * @param {object} [options={}] - The handler options:
+     * store (default: an in-memory store), signing ({ algorithm, key }, see sign),
+     * mergePolicy (as in taggerConfig), allowedOrigins (CORS origins, or "*"),
+     * onEvents (async function (events, context) replacing the stored event history),
+     * authorize (async function (type, data, request) replacing the sync key check of every request),
+     * ipFallback (returns the params of the last sync from the IP of a visitor without a user ID, default: false)
+     * and maxBodySize (in bytes, default: 1 MB).
+     * @returns {Function} - The async (req, res) handler.
+     */
+    createSyncHandler: function (options = {}) {
+        const settings = { ...options, store: options.store ?? this.createMemoryStore() };
+
+        return async (req, res) => {
+            let body = req.body;
+            if (body === undefined && req.method === "POST") {
+                try {
+                    body = await this._readBody(req, settings.maxBodySize ?? this.MAX_BODY_SIZE);
+                } catch (e) {
+                    res.statusCode = 413;
+                    res.setHeader("Connection", "close");
+                    res.end(JSON.stringify({ error: "Request body too large" }));
+                    return;
+                }
+            }
+
+            const response = await this.handleRequest(
+                {
+                    method: req.method,
+                    url: req.url,
+                    headers: req.headers,
+                    body,
+                    // Express sets req.ip from the trusted proxies, the socket address is the proxy otherwise
+                    ip: req.ip ?? req.socket?.remoteAddress,
+                },
+                settings
+            );
+
+            res.statusCode = response.status;
+            for (const name in response.headers) {
+                res.setHeader(name, response.headers[name]);
+            }
+            res.end(response.body);
+        };
+    },
+
+    /**
+     * Handles a sync protocol request, independently of the web framework.
+     * @param {object} request - The request { method, url, headers, body, ip }, with the raw or parsed JSON body
+     * and the client IP address, only used with options.ipFallback.
+     * @param {object} options - The handler options, see createSyncHandler.
+     * @returns {Promise<{status: number, headers: object, body: string}>} - The response.
+     */
+    handleRequest: async function (request, options) {
+        const headers = { "Content-Type": "application/json", ...this._getCorsHeaders(request, options) };
+        const reply = (status, data) => ({ status, headers, body: data === null ? "" : JSON.stringify(data) });
+
+        try {
+            if (request.method === "OPTIONS") {
+                return reply(204, null);
+            }
+
+            if (request.method === "GET") {
+                const url = new URL(request.url ?? "/", "http://localhost");
+                if (this._getProtocolVersion(request) > tagger.PROTOCOL_VERSION) {
+                    return reply(400, { error: "Unsupported protocol version" });
+                }
+
+                const userID = url.searchParams.get("userID");
+                if (userID !== null && !(await this._isAuthorized("get", { userID }, this._getHeader(request, "x-tagger-key"), request, options))) {
+                    return reply(403, { error: "Forbidden" });
+                }
+                return reply(200, await this._handleGet(request, url.searchParams, options));
+            }
+
+            if (request.method !== "POST") {
+                return reply(405, { error: "Method not allowed" });
+            }
+
+            // Beacons are sent as text/plain, with the protocol version in the payload
+            let payload = request.body;
+            if (typeof payload === "string" || payload instanceof Uint8Array) {
+                try {
+                    payload = JSON.parse(Buffer.from(payload).toString("utf8"));
+                } catch (e) {
+                    return reply(400, { error: "Invalid JSON" });
+                }
+            }
+            if (!payload || typeof payload.data !== "string" || this._getProtocolVersion(request, payload) > tagger.PROTOCOL_VERSION) {
+                return reply(400, { error: "Invalid payload" });
+            }
+
+            const data = this.decode(payload.data);
+            if (!data || typeof data !== "object" || Array.isArray(data)) {
+                return reply(400, { error: "Invalid data" });
+            }
+
+            const type = payload.type ?? "sync";
+            if (!["sync", "alias", "forget", "events"].includes(type)) {
+                return reply(400, { error: "Unknown request type" });
+            }
+            if (!(await this._isAuthorized(type, data, payload.key, request, options))) {
+                return reply(403, { error: "Forbidden" });
+            }
+
+            switch (type) {
+                case "sync":
+                    return reply(200, await this._handleSync(data, payload, request, options));
+                case "alias":
+                    return reply(200, await this._handleAlias(data, payload, options));
+                case "forget":
+                    return reply(200, await this._handleForget(data, payload, options));
+                case "events":
+                    return reply(200, await this._handleEvents(data, request, options));
+            }
+        } catch (e) {
+            console.error("[Tagger] Sync request failed:", e);
+            return reply(500, { error: "Server error" });
+        }
+    },
+
+    /**
+     * Answers a GET request with the stored data of the user.
+     * The user is found through the userID param, already authorized. With options.ipFallback, a visitor
+     * without a user ID gets the params of the last sync from its IP address, but no user ID, which it
+     * couldn't use without the sync key of that user. The ip query param sent by clients is never trusted.
+     * With an updatedTime param, the data is only returned when it is newer.
+     * @param {object} request - The request.
+     * @param {URLSearchParams} query - The query params.
+     * @param {object} options - The handler options.
+     * @returns {Promise<object>} - The response data.
+     */
+    _handleGet: async function (request, query, options) {
+        const store = options.store;
+        const userID = query.get("userID");
+
+        let record = this._isValidID(userID) ? await this._getRecord(store, userID) : null;
+        if (userID === null && options.ipFallback && typeof request.ip === "string" && request.ip) {
+            const lastUserID = await store.get("ip:" + request.ip);
+            record = lastUserID ? await this._getRecord(store, lastUserID) : null;
+            if (record) {
+                const { userParams, userParamsMeta, updatedTime } = record;
+                record = { userParams, userParamsMeta, updatedTime };
+            }
+        }
+
+        if (!record) {
+            return { updated: false, updatedTime: 0 };
+        }
+
+        const updatedTime = record.updatedTime || 0;
+        const knownTime = Number(query.get("updatedTime")) || 0;
+        if (knownTime && knownTime >= updatedTime) {
+            return { updated: false, updatedTime };
+        }
+
+        return { updated: true, ...(await this._encodeResponse(record, options, { nonce: query.get("nonce"), userID })) };
+    },
+
+    /**
+     * Stores the data posted by a client, merging its params field by field with the stored ones,
+     * and records the sync key of the client as an owner of the user.
+     * When stored values win, the merged data is returned for the client to apply.
+     * @param {object} data - The decoded data.
+     * @param {object} payload - The request payload, with the sync key and nonce.
+     * @param {object} request - The request.
+     * @param {object} options - The handler options.
+     * @returns {Promise<object>} - The response data.
+     */
+    _handleSync: async function (data, payload, request, options) {
+        const { data: incoming, error } = tagger._validateRemoteData(data);
+        if (error || !incoming.userID) {
+            return { updated: false, error: error ?? "Missing userID" };
+        }
+
+        const store = options.store;
+        const userID = await this._resolveUserID(store, incoming.userID);
+        const stored = await this._getRecord(store, userID);
+        const record = this.mergeRecords(stored, incoming, options);
+
+        // The client gets the merged data back when it differs from what it sent
+        const changed = !stored ? false : record.userID !== incoming.userID || record.changed;
+        delete record.changed;
+        record.keys = await this._addKey(stored?.keys, payload.key);
+        record.updatedTime = changed ? Math.max(new Date().getTime(), (incoming.updatedTime || 0) + 1) : (incoming.updatedTime || record.updatedTime || 0);
+
+        await store.set("user:" + record.userID, record);
+        if (options.ipFallback && typeof request.ip === "string" && request.ip) {
+            await store.set("ip:" + request.ip, record.userID);
+        }
+
+        if (changed) {
+            return { updated: false, ...(await this._encodeResponse(record, options, { nonce: payload.nonce, userID: incoming.userID })) };
+        }
+        return { updated: true, updatedTime: record.updatedTime };
+    },
+
+    /**
+     * Links an ID to the user: { userID, externalID, time } when a user is identified,
+     * or { userID, aliasOf, externalID, time } when the anonymous ID userID is replaced by or linked to aliasOf.
+     * The caller owns the kept ID. The data of the alias ID only moves to the kept one when the caller
+     * owns it too, e.g. an ID a linker token carried from another device is only listed as an alias.
+     * @param {object} data - The decoded data.
+     * @param {object} payload - The request payload, with the sync key.
+     * @param {object} options - The handler options.
+     * @returns {Promise<object>} - The response data.
+     */
+    _handleAlias: async function (data, payload, options) {
+        if (!this._isValidID(data.userID)) {
+            return { updated: false, error: "Invalid userID" };
+        }
+
+        const store = options.store;
+        const keptID = this._isValidID(data.aliasOf) ? data.aliasOf : data.userID;
+        const userID = await this._resolveUserID(store, keptID);
+        let record = (await this._getRecord(store, userID)) ?? { userID };
+        record.keys = await this._addKey(record.keys, payload.key);
+
+        const aliasID = await this._resolveUserID(store, data.userID);
+        if (keptID !== data.userID && aliasID !== userID) {
+            const previous = await store.get("user:" + aliasID);
+            if (!previous || (await this._isOwner(previous, payload.key, options))) {
+                // The data and the owners of the alias ID move to the kept one
+                if (previous) {
+                    const keys = [...new Set([...record.keys, ...(previous.keys ?? [])])];
+                    record = this.mergeRecords(record, previous, options);
+                    delete record.changed;
+                    record.keys = keys;
+                    await store.delete("user:" + aliasID);
+                }
+                await store.set("alias:" + aliasID, userID);
+                await store.set("alias:" + data.userID, userID);
+            }
+            record.aliases = this._addAlias(record.aliases, aliasID, data.time);
+            record.aliases = this._addAlias(record.aliases, data.userID, data.time);
+        }
+
+        if (typeof data.externalID === "string" && data.externalID) {
+            record.externalID = data.externalID;
+            await store.set("external:" + data.externalID, userID);
+        }
+
+        await store.set("user:" + userID, record);
+        return { updated: true };
+    },
+
+    /**
+     * Erases the data of the user, its aliases and its external ID.
+     * The listed aliases and the user of the external ID are only erased when they are the same user,
+     * or when the caller owns them too.
+     * Answers { deleted: true }, which the client waits for before dropping the request.
+     * @param {object} data - The decoded data { userID, externalID, aliases, time }.
+     * @param {object} payload - The request payload, with the sync key.
+     * @param {object} options - The handler options.
+     * @returns {Promise<object>} - The response data.
+     */
+    _handleForget: async function (data, payload, options) {
+        const store = options.store;
+        const forgottenID = await this._resolveUserID(store, data.userID);
+        const ids = new Set();
+
+        const addID = async (id, checkOwner) => {
+            if (!this._isValidID(id) || ids.has(id)) return;
+
+            const userID = await this._resolveUserID(store, id);
+            const record = await store.get("user:" + userID);
+            if (checkOwner && userID !== forgottenID && record && !(await this._isOwner(record, payload.key, options))) return;
+
+            ids.add(id);
+            ids.add(userID);
+            (record?.aliases ?? []).forEach((alias) => ids.add(alias?.id));
+        };
+
+        await addID(data.userID, false);
+        for (const alias of Array.isArray(data.aliases) ? data.aliases : []) {
+            await addID(typeof alias === "string" ? alias : alias?.id, true);
+        }
+        const externalIDs = typeof data.externalID === "string" ? [data.externalID] : [];
+        if (externalIDs.length) {
+            await addID(await store.get("external:" + data.externalID), true);
+        }
+
+        for (const id of ids) {
+            if (typeof id !== "string") continue;
+            const record = await store.get("user:" + id);
+            if (record?.externalID) externalIDs.push(record.externalID);
+
+            await store.delete("user:" + id);
+            await store.delete("alias:" + id);
+            await store.delete("events:" + id);
+            await store.delete("eventIDs:" + id);
+        }
+
+        // External IDs are only unmapped from the erased users
+        for (const externalID of externalIDs) {
+            if (ids.has(await store.get("external:" + externalID))) await store.delete("external:" + externalID);
+        }
+
+        return { deleted: true };
+    },
+
+    /**
+     * Receives a batch of tracked events { events }.
+     * Events without a valid ID get one, and events already received (a retried batch) are dropped.
+     * The new events are passed to options.onEvents, or kept in the store with the user.
+     * @param {object} data - The decoded data.
+     * @param {object} request - The request.
+     * @param {object} options - The handler options.
+     * @returns {Promise<object>} - The response data.
+     */
+    _handleEvents: async function (data, request, options) {
+        const store = options.store;
+        const byUser = {};
+        for (const event of Array.isArray(data.events) ? data.events : []) {
+            if (!event || typeof event.name !== "string" || !this._isValidID(event.userID)) continue;
+            const userID = await this._resolveUserID(store, event.userID);
+            (byUser[userID] ??= []).push(this._isValidID(event.id) ? event : { ...event, id: tagger.utilUUIDv4() });
+        }
+
+        const events = [];
+        for (const userID in byUser) {
+            const seenIDs = new Set((await store.get("eventIDs:" + userID)) ?? []);
+            const added = byUser[userID].filter((event) => !seenIDs.has(event.id) && seenIDs.add(event.id));
+            if (!added.length) continue;
+
+            await store.set("eventIDs:" + userID, [...seenIDs].slice(-this.MAX_STORED_EVENTS));
+            if (typeof options.onEvents !== "function") {
+                const stored = (await store.get("events:" + userID)) ?? [];
+                await store.set("events:" + userID, [...stored, ...added].slice(-this.MAX_STORED_EVENTS));
+            }
+            events.push(...added);
+        }
+
+        if (typeof options.onEvents === "function" && events.length) {
+            await options.onEvents(events, { request });
+        }
+
+        return { updated: true };
+    },
+
+    //-----------------------------
+    // Merge functions
+    //-----------------------------
+
+    /**
+     * Merges the incoming data of a client into the stored record.
+     * Params are merged field by field like in the browser, the stored side acting as the remote one.
+     * The earliest creation time and first touch are kept, and the latest last touch and touchpoints.
+     * @param {object|null} stored - The stored record.
+     * @param {object} incoming - The validated incoming data.
+     * @param {object} [options={}] - The handler options, with the mergePolicy.
+     * @returns {object} - The merged record, with changed: true when stored values were kept over the incoming ones.
+     */
+    mergeRecords: function (stored, incoming, options = {}) {
+        if (!stored) {
+            return { ...incoming, changed: false };
+        }
+
+        const record = { ...stored, ...incoming, userID: stored.userID ?? incoming.userID };
+        let changed = false;
+
+        if (stored.userParams || incoming.userParams) {
+            const merged = this.mergeUserParams(stored, incoming, options.mergePolicy);
+            record.userParams = merged.params;
+            record.userParamsMeta = merged.meta;
+            changed = merged.changed;
+        }
+
+        if (stored.userCreateTime && (!incoming.userCreateTime || stored.userCreateTime < incoming.userCreateTime)) {
+            record.userCreateTime = stored.userCreateTime;
+            changed = true;
+        }
+        if (stored.firstTouch && (stored.firstTouch.timestamp ?? 0) < (incoming.firstTouch?.timestamp ?? Infinity)) {
+            record.firstTouch = stored.firstTouch;
+            changed = true;
+        }
+        if (stored.lastTouch && (stored.lastTouch.timestamp ?? 0) > (incoming.lastTouch?.timestamp ?? 0)) {
+            record.lastTouch = stored.lastTouch;
+            changed = true;
+        }
+        // The history holding the latest touchpoint wins, as clients cap its length
+        const getLatestTime = (touchpoints) => Math.max(0, ...(touchpoints ?? []).map((touchpoint) => touchpoint?.timestamp ?? 0));
+        if (stored.touchpoints && getLatestTime(stored.touchpoints) > getLatestTime(incoming.touchpoints)) {
+            record.touchpoints = stored.touchpoints;
+            changed = true;
+        }
+        if (stored.aliases || incoming.aliases) {
+            let aliases = [];
+            [...(stored.aliases ?? []), ...(incoming.aliases ?? [])].forEach((alias) => {
+                aliases = this._addAlias(aliases, alias?.id, alias?.time);
+            });
+            record.aliases = aliases;
+        }
+        if (stored.traits || incoming.traits) {
+            record.traits = { ...(stored.traits ?? {}), ...(incoming.traits ?? {}) };
+        }
+
+        record.changed = changed;
+        return record;
+    },
+
+    /**
+     * Merges the incoming user params with the stored ones, field by field.
+     * Each param is compared through its entry { value, time, origin }, where a removed param has deleted: true.
+     * @param {object} stored - The stored record.
+     * @param {object} incoming - The incoming data.
+     * @param {string|Function} [mergePolicy="last-write-wins"] - The merge policy, as in taggerConfig.
+     * @returns {{params: object, meta: object, changed: boolean}} - The merged params, their meta
+     * and whether stored values were kept over the incoming ones.
+     */
+    mergeUserParams: function (stored, incoming, mergePolicy) {
+        const getMeta = (data) => {
+            const meta = {};
+            for (const key in data.userParams ?? {}) {
+                meta[key] = { time: data.updatedTime || 0, origin: "remote" };
+            }
+            for (const key in data.userParamsMeta ?? {}) {
+                const entry = data.userParamsMeta[key];
+                if (entry && typeof entry === "object" && typeof entry.time === "number") meta[key] = { ...entry };
+            }
+            return meta;
+        };
+        const getEntry = (params, meta, key) => {
+            if (key in params) return { value: params[key], ...meta[key], deleted: false };
+            if (meta[key]?.deleted) return { value: null, ...meta[key] };
+            return null;
+        };
+
+        const storedParams = stored.userParams ?? {};
+        const incomingParams = incoming.userParams ?? {};
+        const storedMeta = getMeta(stored);
+        const incomingMeta = getMeta(incoming);
+
+        const params = {};
+        const meta = {};
+        let changed = false;
+        const keys = new Set([...Object.keys(storedParams), ...Object.keys(storedMeta), ...Object.keys(incomingParams), ...Object.keys(incomingMeta)]);
+
+        keys.forEach((key) => {
+            const local = getEntry(incomingParams, incomingMeta, key);
+            const remote = getEntry(storedParams, storedMeta, key);
+            let kept = local ?? remote;
+
+            if (local && remote && (local.value !== remote.value || local.deleted !== remote.deleted)) {
+                kept = this.resolveParamConflict(key, local, remote, mergePolicy);
+                if (kept !== local && kept !== remote) {
+                    // A custom resolver can return a new entry
+                    kept = { time: new Date().getTime(), origin: "resolver", ...kept, deleted: kept.deleted === true };
+                }
+            }
+
+            if (!kept) return;
+            if (kept !== local) changed = true;
+
+            const { value, deleted, ...entryMeta } = kept;
+            meta[key] = deleted ? { ...entryMeta, deleted: true } : entryMeta;
+            if (!deleted) params[key] = tagger.utilSanitizeString(value);
+        });
+
+        return { params, meta, changed };
+    },
+
+    /**
+     * Picks the entry to keep when the incoming and stored values of a param differ.
+     * Mirrors tagger.resolveParamConflict, the stored entry being the remote one.
+     * @param {string} param - The parameter name.
+     * @param {object} local - The incoming entry { value, time, origin, deleted }.
+     * @param {object} remote - The stored entry { value, time, origin, deleted }.
+     * @param {string|Function} [mergePolicy="last-write-wins"] - The merge policy.
+     * @returns {object} - The entry to keep.
+     */
+    resolveParamConflict: function (param, local, remote, mergePolicy = "last-write-wins") {
+        return tagger.resolveParamConflict.call({ ...tagger, getConfig: () => ({ mergePolicy }) }, param, local, remote);
+    },
+
+    //-----------------------------
+    // Encoding functions
+    //-----------------------------
+
+    /**
+     * Encodes data as base64 JSON, like the browser does.
+     * @param {object} data - The data.
+     * @returns {string} - The base64 encoded data.
+     */
+    encode: function (data) {
+        return Buffer.from(JSON.stringify(data), "utf8").toString("base64");
+    },
+
+    /**
+     * Decodes base64 JSON data.
+     * @param {string} base64Data - The base64 encoded data.
+     * @returns {any} - The decoded data or null on failure.
+     */
+    decode: function (base64Data) {
+        try {
+            return JSON.parse(Buffer.from(base64Data, "base64").toString("utf8"));
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Signs the content of a response, for clients configured with syncVerification.
+     * Supports { algorithm: "Ed25519", key: base64 PKCS#8 private key }, the only algorithm clients verify.
+     * @param {string} message - The signed content.
+     * @param {object} signing - The signing algorithm and key.
+     * @returns {Promise<string>} - The base64 signature.
+     */
+    sign: async function (message, signing) {
+        const algorithm = signing?.algorithm ?? "Ed25519";
+        if (algorithm !== "Ed25519") {
+            throw new Error("Unsupported signing algorithm: " + algorithm);
+        }
+
+        const keyBytes = Buffer.from(signing.key, "base64");
+        const key = await crypto.subtle.importKey("pkcs8", keyBytes, { name: "Ed25519" }, false, ["sign"]);
+        const signature = await crypto.subtle.sign({ name: "Ed25519" }, key, new TextEncoder().encode(message));
+
+        return Buffer.from(signature).toString("base64");
+    },
+
+    /**
+     * Generates an Ed25519 key pair for signed sync.
+     * @returns {Promise<{privateKey: string, publicKey: string}>} - The base64 PKCS#8 private key for the handler,
+     * and the base64 raw public key for taggerConfig.syncVerification.
+     */
+    generateSigningKeys: async function () {
+        const keys = await crypto.subtle.generateKey({ name: "Ed25519" }, true, ["sign", "verify"]);
+        return {
+            privateKey: Buffer.from(await crypto.subtle.exportKey("pkcs8", keys.privateKey)).toString("base64"),
+            publicKey: Buffer.from(await crypto.subtle.exportKey("raw", keys.publicKey)).toString("base64"),
+        };
+    },
+
+    /**
+     * Encodes a stored record for a response, without its sync keys, signed when options.signing is set.
+     * The signature covers "{nonce}.{userID}.{issuedAt}.{data}", so clients only apply the answer to their own request.
+     * @param {object} record - The stored record.
+     * @param {object} options - The handler options.
+     * @param {object} context - The nonce and the user ID sent by the client, if any.
+     * @returns {Promise<object>} - The { updatedTime, data, issuedAt, signature } response fields.
+     */
+    _encodeResponse: async function (record, options, context) {
+        const { keys, ...data } = record;
+        const response = { updatedTime: record.updatedTime || 0, data: this.encode(data) };
+        if (options.signing) {
+            response.issuedAt = new Date().getTime();
+            const message = [context.nonce ?? "", context.userID ?? "", response.issuedAt, response.data].join(".");
+            response.signature = await this.sign(message, options.signing);
+        }
+        return response;
+    },
+
+    //-----------------------------
+    // Utility functions
+    //-----------------------------
+
+    /**
+     * Follows the aliases of a user ID to the ID its data is stored under.
+     * @param {object} store - The store.
+     * @param {string} userID - The user ID.
+     * @returns {Promise<string>} - The current user ID.
+     */
+    _resolveUserID: async function (store, userID) {
+        const seen = new Set();
+        while (!seen.has(userID)) {
+            seen.add(userID);
+            const next = await store.get("alias:" + userID);
+            if (typeof next !== "string") break;
+            userID = next;
+        }
+        return userID;
+    },
+
+    /**
+     * Retrieves the stored record of a user, through its aliases.
+     * @param {object} store - The store.
+     * @param {string} userID - The user ID.
+     * @returns {Promise<object|null>} - The record or null if none is stored.
+     */
+    _getRecord: async function (store, userID) {
+        return await store.get("user:" + (await this._resolveUserID(store, userID)));
+    },
+
+    /**
+     * Adds an ID to a list of aliases, once.
+     * @param {Array<object>} [aliases=[]] - The aliases [{ id, time }].
+     * @param {string} id - The ID.
+     * @param {number} [time] - The time the ID was linked.
+     * @returns {Array<object>} - The aliases.
+     */
+    _addAlias: function (aliases = [], id, time) {
+        if (this._isValidID(id) && !aliases.some((alias) => alias.id === id)) {
+            aliases.push({ id, time: typeof time === "number" ? time : new Date().getTime() });
+        }
+        return aliases;
+    },
+
+    /**
+     * Checks if the caller may send a request about a user ID, through options.authorize,
+     * or else through the sync key the client sends with every request.
+     * The first sync of an ID records the key of the client, and later requests about that ID need one of its recorded keys.
+     * A GET or sync is checked on its userID, an alias on the kept ID and events on the ID of each event.
+     * @param {string} type - The request type: "get", "sync", "alias", "forget" or "events".
+     * @param {object} data - The decoded data, { userID } for a GET.
+     * @param {string} [key] - The sync key of the client.
+     * @param {object} request - The request.
+     * @param {object} options - The handler options.
+     * @returns {Promise<boolean>}
+     */
+    _isAuthorized: async function (type, data, key, request, options) {
+        if (typeof options.authorize === "function") {
+            return (await options.authorize(type, data, request)) === true;
+        }
+
+        let ids = [data.userID];
+        if (type === "alias" && this._isValidID(data.aliasOf)) {
+            ids = [data.aliasOf];
+        } else if (type === "events") {
+            ids = (Array.isArray(data.events) ? data.events : []).map((event) => event?.userID).filter((id) => this._isValidID(id));
+        }
+
+        if ((await this._hashKey(key)) === null || (type !== "events" && !this._isValidID(ids[0]))) {
+            return false;
+        }
+        for (const id of new Set(ids)) {
+            const record = await this._getRecord(options.store, id);
+            if (record && !(await this._isOwner(record, key, options))) {
+                return false;
+            }
+        }
+        return true;
+    },
+
+    /**
+     * Checks if a sync key is recorded as an owner of a user, always true with options.authorize.
+     * @param {object} record - The stored record.
+     * @param {string} [key] - The sync key of the client.
+     * @param {object} options - The handler options.
+     * @returns {Promise<boolean>}
+     */
+    _isOwner: async function (record, key, options) {
+        if (typeof options.authorize === "function") {
+            return true;
+        }
+        const keyHash = await this._hashKey(key);
+        return keyHash !== null && Array.isArray(record.keys) && record.keys.includes(keyHash);
+    },
+
+    /**
+     * Adds the hash of a sync key to the owners of a user, once.
+     * @param {Array<string>} [keys=[]] - The recorded key hashes.
+     * @param {string} [key] - The sync key of the client.
+     * @returns {Promise<Array<string>>} - The key hashes.
+     */
+    _addKey: async function (keys = [], key) {
+        const keyHash = await this._hashKey(key);
+        return keyHash === null || keys.includes(keyHash) ? keys : [...keys, keyHash];
+    },
+
+    /**
+     * Hashes a sync key, so the store never holds the keys themselves.
+     * @param {any} key - The sync key of the client.
+     * @returns {Promise<string|null>} - The base64 SHA-256 hash, or null if the key is invalid.
+     */
+    _hashKey: async function (key) {
+        if (typeof key !== "string" || key.length < 16 || key.length > 256) {
+            return null;
+        }
+        const hash = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(key));
+        return Buffer.from(hash).toString("base64");
+    },
+
+    /**
+     * Returns the protocol version of a request, from the X-Tagger-Protocol header,
+     * or from the payload for beacons, which can't carry headers.
+     * @param {object} request - The request.
+     * @param {object} [payload] - The parsed payload of a POST request.
+     * @returns {number} - The protocol version, 1 when none is sent.
+     */
+    _getProtocolVersion: function (request, payload) {
+        return Number(this._getHeader(request, "x-tagger-protocol") ?? payload?.v ?? 1);
+    },
+
+    /**
+     * Checks if a value is a valid Tagger ID.
+     * @param {any} id - The value.
+     * @returns {boolean}
+     */
+    _isValidID: function (id) {
+        return typeof id === "string" && /^[\w.:-]{1,128}$/.test(id);
+    },
+
+    /**
+     * Returns a request header, case-insensitively.
+     * @param {object} request - The request.
+     * @param {string} name - The lowercase header name.
+     * @returns {string|undefined} - The header value.
+     */
+    _getHeader: function (request, name) {
+        const headers = request.headers ?? {};
+        if (typeof headers.get === "function") {
+            return headers.get(name) ?? undefined;
+        }
+        const key = Object.keys(headers).find((header) => header.toLowerCase() === name);
+        return key ? headers[key] : undefined;
+    },
+
+    /**
+     * Returns the CORS headers for the origin of a request, when allowed through options.allowedOrigins.
+     * Requests prove who they are with the sync key, so no credentials are needed.
+     * @param {object} request - The request.
+     * @param {object} options - The handler options.
+     * @returns {object} - The headers.
+     */
+    _getCorsHeaders: function (request, options) {
+        const origin = this._getHeader(request, "origin");
+        const allowed = options.allowedOrigins;
+        if (!origin || !allowed || (allowed !== "*" && !allowed.includes(origin))) {
+            return {};
+        }
+
+        return {
+            "Access-Control-Allow-Origin": origin,
+            "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+            "Access-Control-Allow-Headers": "Content-Type, X-Tagger-Protocol, X-Tagger-Key",
+            Vary: "Origin",
+        };
+    },
+
+    /**
+     * Reads the body of a Node.js request, up to a size limit.
+     * @param {object} req - The request stream.
+     * @param {number} maxSize - The size limit in bytes.
+     * @returns {Promise<string>} - The body, rejected when it exceeds the limit.
+     */
+    _readBody: function (req, maxSize) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            req.on("data", (chunk) => {
+                size += chunk.length;
+                if (size > maxSize) {
+                    req.pause();
+                    reject(new Error("Request body too large"));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+            req.on("error", reject);
+        });
+    },
+};
+
+export { taggerServer };
@@ -14,18 +14,372 @@ const tagger = {
      */
     SYNC_LOCK: false,
 
+    /**
+     * Incremented when the local state is reset or an identity is stored during a sync, so syncs started before don't apply their response.
+     * @type {number}
+     */
+    syncGeneration: 0,
+
+    /**
+     * Version of the remote sync protocol, sent in the X-Tagger-Protocol header.
+     * @type {number}
+     */
+    PROTOCOL_VERSION: 2,
+
+    /**
+     * Maximum age of a signed response, in milliseconds.
+     * @type {number}
+     */
+    SIGNATURE_MAX_AGE: 300000,
+
+    /**
+     * Schema of the data accepted from the remote endpoint, as field name to type.
+     * Fields outside the schema are dropped.
+     * @type {Object<string, string>}
+     */
+    SYNC_SCHEMA: {
+        userID: "string",
+        userParams: "object",
+        userParamsMeta: "object",
+        userCreateTime: "number",
+        updatedTime: "number",
+        userReferrer: "string",
+        firstTouch: "object",
+        lastTouch: "object",
+        touchpoints: "array",
+        externalID: "string",
+        aliases: "array",
+        traits: "object",
+    },
+
+    /**
+     * Schema of the configuration options, checked by configure() and on init.
+     * Each option has its type or types, and optionally its default, minimum, allowed string values,
+     * string pattern, array item type, whether it must be an HTTPS URL and whether it is fixed after init.
+     * @type {Object<string, object>}
+     */
+    CONFIG_SCHEMA: {
+        autoInit: { type: "boolean", default: true, initOnly: true },
+        autoSyncInterval: { type: "number", default: 0, min: 0 },
+        autoTrack: { type: "boolean", default: true },
+        classifyReferrer: { type: "boolean", default: true },
+        cookieDomain: { type: ["string", "boolean"] },
+        crossTab: { type: "boolean", default: true, initOnly: true },
+        decorate: { type: ["array", "object"] },
+        eventsBatchDelay: { type: "number", default: 1000, min: 0 },
+        eventsBatchSize: { type: "number", default: 20, min: 1 },
+        eventsEndpoint: { type: "string" },
+        forceIPv4: { type: "boolean", default: false },
+        formFields: { type: ["object", "boolean"] },
+        honorPrivacySignals: { type: "boolean", default: true },
+        idStrategy: { type: ["string", "function"], default: "hash", values: ["hash", "uuidv4", "uuidv7", "ulid"] },
+        integrations: { type: "object", initOnly: true },
+        ipCacheDuration: { type: "number", default: 86400000, min: 0 },
+        ipProvider: { type: ["string", "boolean"] },
+        linker: { type: ["boolean", "object"] },
+        maxForgetRetries: { type: "number", default: 100, min: 0 },
+        maxRetries: { type: "number", default: 10, min: 0 },
+        maxTouchpoints: { type: "number", default: 10, min: 1 },
+        mergePolicy: { type: ["string", "function"], default: "last-write-wins", values: ["last-write-wins", "first-write-wins"] },
+        paramTTL: { type: "object" },
+        plugins: { type: "array", initOnly: true },
+        prefix: { type: "string", default: "tg-" },
+        referrerRules: { type: "array" },
+        remoteEndpoint: { type: "string", https: true },
+        remoteSync: { type: "boolean", default: false },
+        remoteSyncEmptyParams: { type: "boolean", default: false },
+        requireConsent: { type: "boolean", default: false },
+        retryDelay: { type: "number", default: 2000, min: 0 },
+        sessionTimeout: { type: "number", default: 1800000, min: 0 },
+        storage: { type: ["string", "array"], default: "cookie+localStorage", initOnly: true },
+        storagePrefix: { type: "string", default: "__tg-", pattern: /^[\w-]+$/, initOnly: true },
+        syncVerification: { type: "object" },
+        userParams: {
+            type: "array",
+            items: "string",
+            default: ["utm_source", "utm_medium", "utm_campaign", "utm_term", "utm_content", "gclid", "gbraid", "fbclid"],
+        },
+        userURLParams: { type: "array", items: "string" },
+    },
+
+    /**
+     * Built-in referrer classification rules, checked in order.
+     * @type {Array<{match: string, source: string, medium: string}>}
+     */
+    REFERRER_RULES: [
+        { match: "google", source: "google", medium: "organic" },
+        { match: "bing.com", source: "bing", medium: "organic" },
+        { match: "search.yahoo.com", source: "yahoo", medium: "organic" },
+        { match: "duckduckgo.com", source: "duckduckgo", medium: "organic" },
+        { match: "baidu.com", source: "baidu", medium: "organic" },
+        { match: "yandex", source: "yandex", medium: "organic" },
+        { match: "ecosia.org", source: "ecosia", medium: "organic" },
+        { match: "search.brave.com", source: "brave", medium: "organic" },
+        { match: "naver.com", source: "naver", medium: "organic" },
+        { match: "seznam.cz", source: "seznam", medium: "organic" },
+        { match: "facebook.com", source: "facebook", medium: "social" },
+        { match: "fb.com", source: "facebook", medium: "social" },
+        { match: "instagram.com", source: "instagram", medium: "social" },
+        { match: "t.co", source: "twitter", medium: "social" },
+        { match: "twitter.com", source: "twitter", medium: "social" },
+        { match: "x.com", source: "twitter", medium: "social" },
+        { match: "linkedin.com", source: "linkedin", medium: "social" },
+        { match: "lnkd.in", source: "linkedin", medium: "social" },
+        { match: "pinterest", source: "pinterest", medium: "social" },
+        { match: "reddit.com", source: "reddit", medium: "social" },
+        { match: "youtube.com", source: "youtube", medium: "social" },
+        { match: "tiktok.com", source: "tiktok", medium: "social" },
+        { match: "threads.net", source: "threads", medium: "social" },
+        { match: "whatsapp.com", source: "whatsapp", medium: "social" },
+    ],
+
+    /**
+     * Storage keys never written to cookies, as they outgrow the cookie size limit
+     * or hold data that must not be sent with every request to the site.
+     * @type {Array<string>}
+     */
+    LOCAL_ONLY_KEYS: ["firstTouch", "lastTouch", "touchpoints", "outbox", "syncKey"],
+
+    /**
+     * Compact Public Suffix List: multi-label public suffixes, grouped by their last label.
+     * Single-label TLDs are implied, as in the "*" rule of the full list.
+     * @type {string}
+     */
+    PUBLIC_SUFFIXES:
+        "uk:co,org,me,ltd,plc,net,sch,ac,gov,nhs,police|au:com,net,org,edu,gov,asn,id|nz:co,net,org,govt,ac,geek,gen,kiwi,school|" +
+        "jp:co,ne,or,ac,ad,ed,go,gr,lg|kr:co,ne,or,re,pe,go,ac|cn:com,net,org,gov,edu,ac|hk:com,net,org,gov,edu|tw:com,net,org,gov,edu|" +
+        "sg:com,net,org,gov,edu|my:com,net,org,gov,edu|in:co,net,org,firm,gen,ind,gov,ac,edu|id:co,or,ac,go,web|th:co,in,or,ac,go|" +
+        "vn:com,net,org,gov,edu|ph:com,net,org,gov,edu|pk:com,net,org,gov,edu|bd:com,net,org,gov|lk:com,org,gov|np:com,org,gov|" +
+        "br:com,net,org,gov,edu,art,blog,eco,ind,tur|mx:com,net,org,gob,edu|ar:com,net,org,gob,gov,edu|co:com,net,org,gov,edu|" +
+        "pe:com,net,org,gob,edu|cl:gob,gov|ve:com,net,org,gob|uy:com,net,org,gub|ec:com,net,org,gob|bo:com,net,org,gob|py:com,net,org,gov|" +
+        "za:co,net,org,gov,ac,web|ng:com,net,org,gov,edu|ke:co,or,ne,go,ac|eg:com,net,org,gov,edu|ma:co,net,org,gov,ac|" +
+        "il:co,net,org,gov,ac,muni|tr:com,net,org,gov,edu,gen,biz|sa:com,net,org,gov,edu|ae:co,net,org,gov,ac|qa:com,net,org,gov|" +
+        "ua:com,net,org,gov,edu,in|ru:com,net,org|pl:com,net,org,gov,edu,biz,info|gr:com,net,org,gov,edu|cy:com,net,org,gov|" +
+        "es:com,nom,org,gob,edu|pt:com,org,gov,edu|fr:asso,com,gouv,nom|it:gov,edu|at:co,or,gv,ac|be:ac|hu:co,org,info|ro:com,org,info|" +
+        "io:github,gitlab|app:vercel,netlify,web,herokuapp,onrender|dev:pages,workers|com:herokuapp,blogspot,firebaseapp,appspot,azurewebsites|" +
+        "net:azurewebsites,cloudfront,netlify",
+
+    /**
+     * Parsed public suffixes, built on first use.
+     * @type {Set<string>|null}
+     */
+    publicSuffixes: null,
+
     /**
      * The main callback function for Tagger events.
      * @type {Function|null}
      */
     mainCallback: null,
 
+    /**
+     * Event listeners registered through on/once, by event name.
+     * @type {Object<string, Array<Function>>}
+     */
+    listeners: {},
+
     /**
      * Cached user IP address.
      * @type {string|null}
      */
     cachedIP: null,
 
+    /**
+     * Random ID of this tab, set when cross-tab coordination is enabled.
+     * @type {string|null}
+     */
+    tabID: null,
+
+    /**
+     * Whether this tab is the one syncing with the remote endpoint.
+     * Every tab is its own leader when cross-tab coordination is disabled.
+     * @type {boolean}
+     */
+    leader: true,
+
+    /**
+     * Election of the leader tab, resolved once this tab knows if it is the leader.
+     * @type {Promise<void>|null}
+     */
+    leaderElection: null,
+
+    /**
+     * Channel used to talk to the other tabs.
+     * @type {BroadcastChannel|null}
+     */
+    broadcastChannel: null,
+
+    /**
+     * Stored keys changed since the last message to the other tabs.
+     * @type {Set<string>}
+     */
+    pendingChangeKeys: new Set(),
+
+    /**
+     * Whether a change made by another tab is being applied.
+     * @type {boolean}
+     */
+    applyingExternalChange: false,
+
+    /**
+     * Timer of the next outbox delivery attempt.
+     * @type {number|null}
+     */
+    outboxTimer: null,
+
+    /**
+     * Whether the outbox is being delivered.
+     * @type {boolean}
+     */
+    outboxFlushing: false,
+
+    /**
+     * IDs of the queued requests being sent, so they are never sent twice at the same time.
+     * @type {Set<string>}
+     */
+    deliveringRequests: new Set(),
+
+    /**
+     * IDs of the queued requests sent since the page was hidden, so they are sent once per hide.
+     * @type {Set<string>}
+     */
+    hideSentRequests: new Set(),
+
+    /**
+     * Tracked events waiting to be sent in a batch.
+     * @type {Array<object>}
+     */
+    eventBatch: [],
+
+    /**
+     * Timer of the next event batch.
+     * @type {number|null}
+     */
+    eventBatchTimer: null,
+
+    /**
+     * Integrations enabled through taggerConfig.integrations, set up once.
+     * @type {Array<object>|null}
+     */
+    integrations: null,
+
+    /**
+     * Plugins registered through use(), in order.
+     * @type {Array<object>}
+     */
+    plugins: [],
+
+    /**
+     * Whether the document event listeners are set up.
+     * @type {boolean}
+     */
+    eventsBound: false,
+
+    /**
+     * Observer of the elements added to the document.
+     * @type {MutationObserver|null}
+     */
+    domObserver: null,
+
+    /**
+     * Whether a touchpoint was already recorded for the current page load.
+     * @type {boolean}
+     */
+    touchpointCaptured: false,
+
+    /**
+     * Whether the page view of the current page load was counted in the session.
+     * @type {boolean}
+     */
+    pageViewTracked: false,
+
+    /**
+     * Data of the memory storage backend.
+     * Also holds the data while storage consent is not granted.
+     * @type {object}
+     */
+    memoryStore: {},
+
+    /**
+     * Instances of the built-in storage backends, by name.
+     * @type {object}
+     */
+    storageBackends: {},
+
+    /**
+     * The consent choices of the user, loaded from storage on first use.
+     * @type {object|null}
+     */
+    consent: null,
+
+    /**
+     * Configuration of an instance created with createTagger.
+     * The global instance reads window.taggerConfig on every call instead.
+     * @type {object|null}
+     */
+    config: null,
+
+    /**
+     * Options set through configure(), applied over the base configuration.
+     * @type {object}
+     */
+    configOverrides: {},
+
+    /**
+     * Invalid options of the base configuration found on init, as option name to value.
+     * They are left out as long as the base configuration holds the same value.
+     * @type {object}
+     */
+    invalidConfig: {},
+
+    /**
+     * Whether the instance mirrors its state to window.taggerUserID, window.taggerUserParams and window.taggerReady.
+     * Only the global instance does.
+     * @type {boolean}
+     */
+    exposeGlobals: true,
+
+    /**
+     * The user ID of the instance.
+     * @type {string|undefined}
+     */
+    currentUserID: undefined,
+
+    /**
+     * The user parameters of the instance.
+     * @type {object|undefined}
+     */
+    currentUserParams: undefined,
+
+    /**
+     * Whether the instance is initialized.
+     * @type {boolean}
+     */
+    ready: false,
+
+    /**
+     * Initialization of the instance, started once.
+     * @type {Promise<void>|null}
+     */
+    initialization: null,
+
+    /**
+     * Timer of the automatic sync, set with taggerConfig.autoSyncInterval.
+     * @type {number|null}
+     */
+    autoSyncTimer: null,
+
+    /**
+     * Initializes an instance created with createTagger. Calling it again returns the same initialization.
+     * The global instance is initialized automatically.
+     * @returns {Promise<void>}
+     */
+    init: function () {
+        if (!this.initialization) {
+            this.initialization = this._init();
+        }
+        return this.initialization;
+    },
+
     /**
      * Initializes the Tagger module.
      * Binds events and triggers the reload function.
@@ -38,10 +392,35 @@ const tagger = {
             return;
         }
 
+        // The configuration set before the script loaded is checked like the options of configure()
+        const configErrors = this.validateConfig(this.getConfig());
+        if (configErrors.length) {
+            this._reportConfigErrors(configErrors);
+            configErrors.forEach((error) => {
+                this.invalidConfig[error.option] = error.value;
+            });
+        }
+
+        // Asynchronous storage backends must be loaded before reading any data
+        await this._loadStorage();
+
+        // Plugins set in the config are registered before any data is read
+        (this.getConfig().plugins ?? []).forEach((plugin) => this.use(plugin));
+
+        // Forward the Tagger events to the vendor scripts
+        this._setupIntegrations();
+
+        // Coordinate with the other tabs, only the leader tab syncs
+        this._setupCrossTab();
+        const isLeader = await this.isLeaderTab();
+
+        // Adopt the identity carried by a link decorated on another domain
+        await this._adoptLinkerIdentity();
+
         // Check if remoteSync is enabled
         let userExists = await this.userExists();
-        const remoteSyncEnabled = window?.taggerConfig?.remoteSync && window?.taggerConfig?.remoteEndpoint;
-        if (remoteSyncEnabled) {
+        const remoteSyncEnabled = this.getConfig().remoteSync && this.getConfig().remoteEndpoint;
+        if (remoteSyncEnabled && isLeader) {
             try {
                 if (userExists) {
                     console.log("[Tagger] Syncing existing user data...");
@@ -58,12 +437,12 @@ const tagger = {
 
         // Retrieve or Create the user ID and store it in the global scope
         const userID = await this._retrieveUserID();
-        window.taggerUserID = userID;
+        this._setUserID(userID);
 
         console.log("[Tagger] UserID:", userID);
 
         // Prepare user params
-        window.taggerUserParams = this.getUserParams();
+        this._setUserParams(this.getUserParams());
 
         // Wait for document ready
         if (document.readyState === "loading") {
@@ -80,553 +459,3230 @@ const tagger = {
             }, 100);
         }
 
+        // Resume the requests queued on previous pages
+        this._scheduleOutbox();
+
         // Set auto sync interval if enabled
-        const autoSyncInterval = window?.taggerConfig?.autoSyncInterval ?? 0;
-        if (autoSyncInterval > 0) {
-            console.log(`[Tagger] Auto sync enabled every ${autoSyncInterval} ms.`);
-            setInterval(async () => {
-                await this._syncRemoteData();
-            }, autoSyncInterval);
-        }
+        this._startAutoSync();
 
         console.log("[Tagger] Ready!");
-        window.taggerReady = true;
+        this._setReady();
+        this._runHook("init", this);
     },
 
     //-----------------------------
-    // Callback functions
+    // Instance functions
     //-----------------------------
 
     /**
-     * Binds events for the Tagger module.
+     * Returns the configuration of the instance: its base configuration, window.taggerConfig for the global instance,
+     * without the invalid options found on init and with the options set through configure().
+     * @returns {object} - The configuration.
      */
-    _bindEvents: function () {
-        const that = this;
-
-        /**  .tg-form-submit */
-        // Fires on the submit of any form with the class .tg-form-submit
-        const formSubmit = document.querySelectorAll(".tg-form-submit");
-        formSubmit.forEach((form) => {
-            form.addEventListener("submit", function (event) {
-                that.fireCallback("tagger-submit", event);
-            });
-        });
-
-        /**  .tg-child-conv-click */
-        // Fires on a click of any 'a' elements that are direct children of .tg-child-conv-click
-        const swapLinks = document.querySelectorAll(".tg-swap-child-href>a");
-        swapLinks.forEach((link) => {
-            link.classList.add("tg-conv-click");
-        });
-
-        /**  .tg-conv-click */
-        // Fires on a click of any element with the class .tg-conv-click
-        document.body.addEventListener("click", function (event) {
-            if (event.target.closest(".tg-conv-click")) {
-                // Do parameter swapping on click and fire the callback
-                that.doParamsSwap();
-                that.fireCallback("tagger-click", event);
-            }
-        });
-        // Detect middle click as well
-        document.body.addEventListener("mousedown", function (event) {
-            if (event.button === 1 && event.target.closest(".tg-conv-click")) {
-                // Middle click
-                that.doParamsSwap();
-                that.fireCallback("tagger-click", event);
-            }
-        });
+    getConfig: function () {
+        const config = { ...(this.config ?? window?.taggerConfig ?? {}) };
+        for (const option in this.invalidConfig) {
+            if (config[option] === this.invalidConfig[option]) delete config[option];
+        }
+        return Object.assign(config, this.configOverrides);
+    },
 
-        /**  updated */
-        // Reload tagger whenever an "updated" event happens on window
-        // We should trigger only once as this event will be registered again on reload
-        window.addEventListener(
-            "updated",
-            function handler() {
-                window.removeEventListener("updated", handler);
-                setTimeout(async () => {
-                    await that.reload();
-                }, 100);
-            },
-            { once: true },
-        );
+    /**
+     * Returns a configuration option, or its default from CONFIG_SCHEMA when it is unset.
+     * @param {string} option - The option name.
+     * @returns {any} - The option value.
+     */
+    _getOption: function (option) {
+        return this.getConfig()[option] ?? this.CONFIG_SCHEMA[option]?.default;
     },
 
     /**
-     * Registers a callback function for the Tagger module.
-     * Fires after doParamsSwap is called.
-     *
-     * @param {Function} callback - The callback function to register.
-     * @returns {boolean} - Returns true if the callback is successfully registered, false otherwise.
+     * Returns the configuration merged with the defaults of CONFIG_SCHEMA.
+     * @returns {object} - The effective configuration.
      */
-    registerCallback: function (callback) {
-        if (typeof callback === "function") {
-            this.mainCallback = callback;
-            return true;
+    getEffectiveConfig: function () {
+        const config = {};
+        for (const option in this.CONFIG_SCHEMA) {
+            if ("default" in this.CONFIG_SCHEMA[option]) {
+                config[option] = this.CONFIG_SCHEMA[option].default;
+            }
         }
-        console.error("[Tagger] Invalid callback", callback);
-        return false;
+        return { ...config, ...this.getConfig() };
     },
 
     /**
-     * Fires the registered callback function with the specified event and data.
-     * @param {string} eventName - The event name.
-     * @param {any} data - The data to pass to the callback function.
+     * Changes the configuration at runtime.
+     * The options are checked against CONFIG_SCHEMA, and the invalid ones are reported
+     * in a single warning and left out. The valid ones are merged with the current configuration
+     * and applied right away, e.g. a new autoSyncInterval restarts the automatic sync
+     * and enabling remote sync triggers a sync.
+     * @param {object} partialConfig - The options to change.
+     * @returns {{config: object, errors: Array<object>}} - The effective configuration,
+     * and the problems found as { option, value, message }.
      */
-    fireCallback: function (eventName, data) {
-        if (typeof this.mainCallback === "function") {
-            this.mainCallback(eventName, data);
-        } else {
-            console.error("[Tagger] No callback function registered!");
+    configure: function (partialConfig) {
+        if (!partialConfig || typeof partialConfig !== "object" || Array.isArray(partialConfig)) {
+            const errors = [{ option: null, value: partialConfig, message: "Config must be an object" }];
+            this._reportConfigErrors(errors);
+            return { config: this.getEffectiveConfig(), errors };
         }
-    },
 
-    //-----------------------------
-    // User ID functions
-    //-----------------------------
+        const errors = this.validateConfig(partialConfig);
+        const invalidOptions = new Set(errors.map((error) => error.option));
+        const changes = {};
+        for (const option in partialConfig) {
+            if (invalidOptions.has(option)) continue;
+
+            // Options read once on init can only be set before
+            if (this.initialization && this.CONFIG_SCHEMA[option]?.initOnly && partialConfig[option] !== this.getConfig()[option]) {
+                errors.push({ option, value: partialConfig[option], message: "Can only be set before init" });
+                continue;
+            }
+            changes[option] = partialConfig[option];
+        }
+
+        this._reportConfigErrors(errors);
+
+        const previous = this.getConfig();
+        this.configOverrides = { ...this.configOverrides, ...changes };
+        this._applyConfigChanges(previous, changes);
+
+        return { config: this.getEffectiveConfig(), errors };
+    },
 
     /**
-     * Checks if a user ID exists in the Tagger storage.
-     * @returns {boolean} - Returns true if a user ID exists, false otherwise.
+     * Checks configuration options against CONFIG_SCHEMA.
+     * @param {object} config - The options.
+     * @returns {Array<object>} - The problems found as { option, value, message }.
      */
-    userExists: async function () {
-        return (await this._retrieveUserID(false)) !== null;
+    validateConfig: function (config) {
+        const errors = [];
+        const options = Object.keys(this.CONFIG_SCHEMA);
+
+        for (const option in config ?? {}) {
+            const value = config[option];
+            const schema = this.CONFIG_SCHEMA[option];
+            const error = (message) => errors.push({ option, value, message });
+
+            if (!schema) {
+                // Suggest the option that was probably meant
+                const suggestion = options.find(
+                    (name) => name.toLowerCase() === option.toLowerCase() || this.utilEditDistance(name, option) <= 2
+                );
+                error(suggestion ? `Unknown option, did you mean "${suggestion}"?` : "Unknown option");
+                continue;
+            }
+
+            // Unset options fall back to their default
+            if (value === undefined || value === null) continue;
+
+            const types = [].concat(schema.type);
+            const type = Array.isArray(value) ? "array" : typeof value;
+            if (!types.includes(type) || (type === "number" && !isFinite(value))) {
+                error(`Expected ${types.join(" or ")}, got ${type === "number" ? "a non-finite number" : type}`);
+            } else if (type === "number" && schema.min !== undefined && value < schema.min) {
+                error(`Must be at least ${schema.min}`);
+            } else if (type === "string" && schema.values && !schema.values.includes(value)) {
+                error(`Must be one of ${schema.values.join(", ")}`);
+            } else if (type === "string" && schema.pattern && !schema.pattern.test(value)) {
+                error(`Must match ${schema.pattern}`);
+            } else if (type === "string" && schema.https && !value.startsWith("https://")) {
+                error("Must be an HTTPS URL");
+            } else if (type === "array" && schema.items && value.some((item) => typeof item !== schema.items)) {
+                error(`Must only hold ${schema.items} items`);
+            }
+        }
+
+        return errors;
     },
 
     /**
-     * Retrieves the user ID from the local storage.
-     * If the user ID does not exist, creates a new one and stores it in the local storage.
-     * Triggers the "tagger:userIDCreated" event when a new user ID is created.
-     * @returns {string} - The user ID.
+     * Logs the configuration problems in a single warning.
+     * @param {Array<object>} errors - The problems as { option, value, message }.
      */
-    getUserID() {
-        return window.taggerUserID;
+    _reportConfigErrors: function (errors) {
+        if (errors.length) {
+            console.warn("[Tagger] Invalid config:", errors);
+        }
     },
 
     /**
-     * Retrieves the user ID from the local storage.
-     * If the user ID does not exist, creates a new one and stores it in the local storage.
-     * Triggers the "tagger:userIDCreated" event when a new user ID is created.
-     * @param {boolean} [autoCreate=true] - Whether to create a new user ID if it does not exist.
-     * @returns {Promise<string>} - The user ID.
+     * Applies the changed options of a running instance.
+     * Options read on every call, like eventsBatchSize or requireConsent, need nothing more.
+     * @param {object} previous - The configuration before the change.
+     * @param {object} changes - The changed options.
      */
-    _retrieveUserID: async function (autoCreate = true) {
-        // Get the user ID from the local storage
-        let userID = this.getData("userID");
-        if (!userID && autoCreate) {
-            const prefix = window?.taggerConfig?.prefix ?? "tg-";
-            const currentTime = new Date().getTime();
-            userID = await this.createNewUserID(prefix);
-            const referrer = this.getUserReferrer(true);
+    _applyConfigChanges: function (previous, changes) {
+        if (!this.ready) {
+            return;
+        }
 
-            this.storeData("userID", userID);
-            this.storeData("userCreateTime", currentTime);
-            this.storeData("updatedTime", currentTime);
-            this.storeData("userReferrer", referrer);
+        if ("autoSyncInterval" in changes) {
+            this._startAutoSync();
+        }
 
-            console.log("[Tagger] UserID Created");
-            this.triggerEvent(window, "tagger:userIDCreated", [userID]);
+        // Capture the newly tracked params from the current URL
+        if ("userParams" in changes || "userURLParams" in changes) {
+            this._setUserParams(this.getUserParams());
+        }
 
-            // SYNC with remote after creating new user
+        const wasSyncing = previous.remoteSync && previous.remoteEndpoint;
+        const isSyncing = this.getConfig().remoteSync && this.getConfig().remoteEndpoint;
+        if (isSyncing && (!wasSyncing || previous.remoteEndpoint !== this.getConfig().remoteEndpoint)) {
             this._syncRemoteData();
         }
-        return userID;
     },
 
     /**
-     * Creates a new user ID based on the IP, user agent, and current time.
-     * @param {string} [prefix] - The prefix to prepend to the user ID.
-     * @returns {Promise<string>} - The new user ID.
+     * Starts the automatic sync every taggerConfig.autoSyncInterval milliseconds, replacing the running one.
      */
-    createNewUserID: async function (prefix) {
-        // Create a new user ID based on it's IP, user agent, and current time
-        let ip = await this.utilGetUserIp();
-        let userAgent = navigator.userAgent;
-        let currentTime = new Date().getTime();
+    _startAutoSync: function () {
+        clearInterval(this.autoSyncTimer);
+        this.autoSyncTimer = null;
 
-        let userID = ip + userAgent + currentTime;
-        userID = await this.utilSHA1(userID);
-        return (prefix ?? "") + userID;
+        const autoSyncInterval = this._getOption("autoSyncInterval");
+        if (autoSyncInterval > 0) {
+            console.log(`[Tagger] Auto sync enabled every ${autoSyncInterval} ms.`);
+            this.autoSyncTimer = setInterval(async () => {
+                if (await this.isLeaderTab()) {
+                    await this._syncRemoteData();
+                }
+            }, autoSyncInterval);
+        }
+    },
+
+    /**
+     * Returns the prefix of the storage keys, cookie names and cross-tab channels, from taggerConfig.storagePrefix.
+     * Instances sharing a page need different prefixes to keep their data apart.
+     * @returns {string} - The prefix (default: "__tg-").
+     */
+    getStoragePrefix: function () {
+        const prefix = this._getOption("storagePrefix");
+        return typeof prefix === "string" && /^[\w-]+$/.test(prefix) ? prefix : this.CONFIG_SCHEMA.storagePrefix.default;
+    },
+
+    /**
+     * Returns the namespace of the names instances share on the page: form fields, marker classes and the IndexedDB database.
+     * Empty with the default storage prefix, so the global instance keeps the documented names.
+     * @returns {string} - The storage prefix of the instance, or "".
+     */
+    _getInstanceNamespace: function () {
+        const prefix = this.getStoragePrefix();
+        return prefix === "__tg-" ? "" : prefix;
+    },
+
+    /**
+     * Sets the user ID of the instance.
+     * @param {string|undefined} userID - The user ID.
+     */
+    _setUserID: function (userID) {
+        this.currentUserID = userID;
+        if (this.exposeGlobals) window.taggerUserID = userID;
+    },
+
+    /**
+     * Sets the user parameters of the instance.
+     * @param {object} userParams - The user parameters.
+     */
+    _setUserParams: function (userParams) {
+        this.currentUserParams = userParams;
+        if (this.exposeGlobals) window.taggerUserParams = userParams;
+    },
+
+    /**
+     * Marks the instance as initialized.
+     */
+    _setReady: function () {
+        this.ready = true;
+        if (this.exposeGlobals) window.taggerReady = true;
     },
 
     //-----------------------------
-    // User parameters functions
+    // Callback functions
     //-----------------------------
 
     /**
-     * Returns the stored user parameters from the tagger storage or URL.
-     * @param {boolean} [sync=true] - Whether to sync extracted data with the remote endpoint.
-     * @returns {object} - The user parameters.
+     * Binds events for the Tagger module.
      */
-    getUserParams: function (sync = true) {
-        // Get the external parameters
-        let params = new URLSearchParams(window.location.search);
-        let userParams = window?.taggerConfig?.userParams ?? [
-            "utm_source",
-            "utm_medium",
-            "utm_campaign",
-            "utm_term",
-            "utm_content",
-            "gclid",
-            "gbraid",
-            "fbclid",
-        ];
+    _bindEvents: function () {
+        const that = this;
 
-        // Fallback for older versions
-        if (!userParams && window?.taggerConfig?.userURLParams) {
-            userParams = window.taggerConfig.userURLParams;
+        // Listeners are delegated to the document, so they are set up once
+        // and cover the elements added later
+        if (this.eventsBound) {
+            return;
         }
+        this.eventsBound = true;
 
-        // Try to retrieve the params from the Storage first
-        let storedParams = this.getData("userParams");
-
-        // Fallback for older versions
-        if (!storedParams) {
-            storedParams = this.getData("userURLParams");
-        }
+        /**  .tg-form-submit */
+        // Fires on the submit of any form with the class .tg-form-submit
+        // Captured, so the hidden fields are in place before the form handlers run
+        document.addEventListener(
+            "submit",
+            function (event) {
+                const form = event.target.closest?.(".tg-form-submit");
+                if (form) {
+                    that.injectFormFields(form);
+                    that._trackElement(form, "form_submit");
+                    that.fireCallback("tagger-submit", event);
+                }
+            },
+            true,
+        );
 
-        // Initialize if nothing found
-        if (!storedParams || typeof storedParams !== "object" || Array.isArray(storedParams)) {
-            storedParams = {};
-        }
+        /**  .tg-conv-click */
+        // Fires on a click of any element with the class .tg-conv-click
+        document.addEventListener("click", function (event) {
+            const element = event.target.closest?.(".tg-conv-click");
+            if (element) {
+                // Do parameter swapping on click, record the event and fire the callback
+                that.doParamsSwap();
+                that._trackElement(element, "click");
+                that.fireCallback("tagger-click", event);
+            }
+            // Linker tokens expire, so clicked links get a fresh one
+            that._refreshLinkerToken(event.target.closest?.("a"));
+        });
+        // Detect middle click as well
+        document.addEventListener("mousedown", function (event) {
+            const element = event.target.closest?.(".tg-conv-click");
+            if (event.button === 1 && element) {
+                // Middle click
+                that.doParamsSwap();
+                that._trackElement(element, "click");
+                that.fireCallback("tagger-click", event);
+            }
+            if (event.button === 1) {
+                that._refreshLinkerToken(event.target.closest?.("a"));
+            }
+        });
 
-        let updated = false;
+        /**  updated */
+        // Reload tagger whenever an "updated" event happens on window
+        window.addEventListener("updated", function () {
+            setTimeout(async () => {
+                await that.reload();
+            }, 100);
+        });
 
-        // Retrieve the external parameters from the URL and merge only missing ones
-        userParams.forEach((param) => {
-            if (params.has(param) && !(param in storedParams)) {
-                storedParams[param] = params.get(param);
-                updated = true;
+        /**  outbox */
+        // Retry the queued requests as soon as the connection is back
+        window.addEventListener("online", async function () {
+            await that._flushOutbox(true);
+        });
+        // Send the batched events and queued requests before the page goes away
+        window.addEventListener("pagehide", function () {
+            that._flushEvents(false);
+            that._flushOutboxOnHide();
+        });
+        document.addEventListener("visibilitychange", function () {
+            if (document.visibilityState === "hidden") {
+                that._flushEvents(false);
+                that._flushOutboxOnHide();
+            } else {
+                that.hideSentRequests.clear();
             }
         });
+    },
 
-        // Params can also be stored individually in a cookie
-        // Using the __tg-param-{{NAME}} format. So we need to read all
-        // matching cookies and merge them into the storedParams object
-        const cookies = document.cookie.split("; ");
-        cookies.forEach((cookie) => {
-            let [key, value] = cookie.split("=");
+    /**
+     * Prepares the Tagger elements found in a part of the document.
+     * Marks the links of .tg-swap-child-href containers and performs parameter swapping.
+     * @param {Element|Document} [root=document] - The element to scan.
+     */
+    _scanDOM: function (root = document) {
+        /**  .tg-child-conv-click */
+        // Fires on a click of any 'a' elements that are direct children of .tg-child-conv-click
+        const swapLinks = this.utilQueryAll(root, ".tg-swap-child-href>a");
+        swapLinks.forEach((link) => {
+            link.classList.add("tg-conv-click");
+        });
 
-            // Check if the cookie is a tagger param
-            if (!key.startsWith("__tg-param-")) return;
+        this.doParamsSwap(root);
+    },
 
-            const cleanKey = key.trim().replace(/^__tg-param-/, "");
+    /**
+     * Watches the document for Tagger elements added after load.
+     * Added elements are scanned in batches, only once per element.
+     */
+    _observeDOM: function () {
+        if (this.domObserver || typeof MutationObserver === "undefined" || !document.body) {
+            return;
+        }
 
-            // If we already have the key in the storedParams, skip it
-            if (!cleanKey || cleanKey in storedParams) return;
+        const pendingRoots = new Set();
+        let scanTimeout = null;
 
-            // Decode from base64
-            try {
-                value = atob(decodeURIComponent(value).trim());
-                storedParams[cleanKey] = value;
-                updated = true;
-            } catch (e) {
-                console.error("[Tagger] Error decoding cookie value: ", e);
+        this.domObserver = new MutationObserver((mutations) => {
+            mutations.forEach((mutation) => {
+                mutation.addedNodes.forEach((node) => {
+                    if (node.nodeType === Node.ELEMENT_NODE) pendingRoots.add(node);
+                });
+            });
+
+            if (!pendingRoots.size || scanTimeout) {
+                return;
             }
+
+            scanTimeout = setTimeout(() => {
+                scanTimeout = null;
+                const roots = [...pendingRoots];
+                pendingRoots.clear();
+
+                // Skip the nodes already removed, or covered by a scanned ancestor
+                roots
+                    .filter((root) => root.isConnected && !roots.some((other) => other !== root && other.contains(root)))
+                    .forEach((root) => this._scanDOM(root));
+            }, 50);
         });
 
-        // Sanitize all stored params
-        for (let key in storedParams) {
-            storedParams[key] = this.utilSanitizeString(storedParams[key]);
+        this.domObserver.observe(document.body, { childList: true, subtree: true });
+    },
+
+    /**
+     * Registers a callback function for the Tagger module.
+     * Fires after doParamsSwap is called.
+     * Kept for compatibility, only one callback can be registered this way. Use on() for more listeners.
+     *
+     * @param {Function} callback - The callback function to register.
+     * @returns {boolean} - Returns true if the callback is successfully registered, false otherwise.
+     */
+    registerCallback: function (callback) {
+        if (typeof callback === "function") {
+            this.mainCallback = callback;
+            return true;
         }
+        console.error("[Tagger] Invalid callback", callback);
+        return false;
+    },
 
-        // If we've added or updated anything, save it
-        if (updated) {
-            this.storeData("userParams", storedParams);
-            this.storeData("updatedTime", new Date().getTime());
+    /**
+     * Fires the registered callback function and the event listeners with the specified event and data.
+     * @param {string} eventName - The event name.
+     * @param {any} data - The data to pass to the callback function.
+     */
+    fireCallback: function (eventName, data) {
+        this._emit(eventName, data);
 
-            // Sync with remote if needed
-            if (sync) {
-                this._syncRemoteData();
-            }
+        if (typeof this.mainCallback === "function") {
+            this.mainCallback(eventName, data);
         }
-
-        return storedParams;
     },
 
     /**
-     * Returns a specific user parameter from the tagger storage or URL.
-     * @param {string} param - The parameter to retrieve.
-     * @returns {string} - The user parameter.
+     * Registers a listener for a Tagger event.
+     * Listeners receive the event data and the event name.
+     * Use "*" to listen to every event, or a trailing "*" to listen to a prefix (e.g. "tagger:*").
+     *
+     * @param {string} eventName - The event name or wildcard.
+     * @param {Function} callback - The listener.
+     * @returns {boolean} - Returns true if the listener is successfully registered, false otherwise.
      */
-    getUserParam: function (param) {
-        return this.getUserParams()[param];
+    on: function (eventName, callback) {
+        if (typeof eventName !== "string" || typeof callback !== "function") {
+            console.error("[Tagger] Invalid listener", eventName, callback);
+            return false;
+        }
+
+        if (!this.listeners[eventName]) {
+            this.listeners[eventName] = [];
+        }
+        this.listeners[eventName].push(callback);
+        return true;
     },
 
     /**
-     * Sets a specific user parameter in the tagger storage.
-     * @param {string} param - The parameter to set.
-     * @param {string} value - The value to set.
-     * @param {boolean} [sync=true] - Whether to sync the data with the remote endpoint.
-     * @returns {object} - True if the parameter was set, false otherwise.
+     * Registers a listener that is removed after the first time it fires.
+     * @param {string} eventName - The event name or wildcard.
+     * @param {Function} callback - The listener.
+     * @returns {boolean} - Returns true if the listener is successfully registered, false otherwise.
      */
-    setUserParam: function (param, value, sync = true) {
-        let userParams = this.getUserParams();
-        if (!userParams || typeof userParams !== "object" || Array.isArray(userParams)) {
-            userParams = {};
-        }
-        const oldValue = userParams[param];
-        if (oldValue === value) {
+    once: function (eventName, callback) {
+        if (typeof callback !== "function") {
+            console.error("[Tagger] Invalid listener", eventName, callback);
             return false;
         }
 
-        userParams[param] = this.sanitizeParam(value);
+        const that = this;
+        const wrapper = function (data, name) {
+            that.off(eventName, wrapper);
+            callback(data, name);
+        };
+        wrapper.callback = callback;
+        return this.on(eventName, wrapper);
+    },
 
-        this.storeData("userParams", userParams);
-        this.storeData("updatedTime", new Date().getTime());
+    /**
+     * Removes a listener, or all the listeners of an event when no callback is given.
+     * @param {string} eventName - The event name or wildcard.
+     * @param {Function} [callback] - The listener to remove.
+     */
+    off: function (eventName, callback) {
+        if (!this.listeners[eventName]) return;
 
-        // Sync with remote if needed
-        if (sync) {
-            this._syncRemoteData();
+        if (callback) {
+            this.listeners[eventName] = this.listeners[eventName].filter(
+                (listener) => listener !== callback && listener.callback !== callback,
+            );
+        }
+        if (!callback || !this.listeners[eventName].length) {
+            delete this.listeners[eventName];
         }
+    },
 
-        window.taggerUserParams = userParams;
-        return true;
+    /**
+     * Calls the listeners of an event, including the matching wildcard listeners.
+     * @param {string} eventName - The event name.
+     * @param {any} data - The data to pass to the listeners.
+     */
+    _emit: function (eventName, data) {
+        const matches = (pattern) => pattern === eventName || (pattern.endsWith("*") && eventName.startsWith(pattern.slice(0, -1)));
+
+        Object.keys(this.listeners)
+            .filter(matches)
+            .forEach((pattern) => {
+                // Copy, so listeners removing themselves don't skip the next one
+                [...this.listeners[pattern]].forEach((listener) => {
+                    try {
+                        listener(data, eventName);
+                    } catch (e) {
+                        console.error("[Tagger] Error in listener for " + eventName + ": ", e);
+                    }
+                });
+            });
     },
 
     //-----------------------------
-    // Storage functions
+    // User ID functions
     //-----------------------------
 
     /**
-     * Stores data in the Tagger storage.
-     * @param {string} key - The key to store the data under.
-     * @param {any} value - The data to store.
-     * @returns {any} - The stored data.
+     * Checks if a user ID exists in the Tagger storage.
+     * @returns {boolean} - Returns true if a user ID exists, false otherwise.
      */
-    storeData: function (key, value) {
-        // We can't store data while a sync operation is in progress
-        if (this.isLocked()) {
-            console.warn("[Tagger] Can't store data while a sync operation is in progress.");
-            return null;
+    userExists: async function () {
+        return (await this._retrieveUserID(false)) !== null;
+    },
+
+    /**
+     * Retrieves the user ID from the local storage.
+     * If the user ID does not exist, creates a new one and stores it in the local storage.
+     * Triggers the "tagger:userIDCreated" event when a new user ID is created.
+     * @returns {string} - The user ID.
+     */
+    getUserID() {
+        return this.currentUserID;
+    },
+
+    /**
+     * Retrieves the user ID from the local storage.
+     * If the user ID does not exist, creates a new one and stores it in the local storage.
+     * Triggers the "tagger:userIDCreated" event when a new user ID is created.
+     * @param {boolean} [autoCreate=true] - Whether to create a new user ID if it does not exist.
+     * @returns {Promise<string>} - The user ID.
+     */
+    _retrieveUserID: async function (autoCreate = true) {
+        // Get the user ID from the local storage
+        let userID = this.getData("userID");
+        if (!userID && autoCreate) {
+            const prefix = this._getOption("prefix");
+            const currentTime = new Date().getTime();
+            userID = await this.createNewUserID(prefix);
+            const referrer = this.getUserReferrer(true);
+
+            // Written even while a sync is in progress, a new ID has nothing to overwrite
+            this._writeData("userID", userID);
+            this._writeData("userCreateTime", currentTime);
+            this._writeData("updatedTime", currentTime);
+            this._writeData("userReferrer", referrer);
+
+            console.log("[Tagger] UserID Created");
+            this.triggerEvent(window, "tagger:userIDCreated", [userID]);
+
+            // SYNC with remote after creating new user
+            this._syncRemoteData();
         }
+        return userID;
+    },
 
-        key = "__tg-" + key;
-        try {
-            // console.log("[Tagger] Storing data for key:", key, value);
-            const json = JSON.stringify(value);
+    /**
+     * Creates a new user ID with the strategy set in taggerConfig.idStrategy:
+     * "hash" (default, SHA-1 of the IP, user agent and current time), "uuidv4", "uuidv7", "ulid",
+     * or a function returning the ID (or a promise of it).
+     * Falls back to a UUIDv4 when a custom generator fails or returns an invalid ID.
+     * @param {string} [prefix] - The prefix to prepend to the user ID.
+     * @returns {Promise<string>} - The new user ID.
+     */
+    createNewUserID: async function (prefix) {
+        const strategy = this._getOption("idStrategy");
+        let userID;
 
-            if (!json) {
-                console.error("[Tagger] Unable to stringify value for key:", key, value);
+        if (typeof strategy === "function") {
+            try {
+                userID = await strategy();
+            } catch (e) {
+                console.error("[Tagger] Error in the user ID generator: ", e);
+            }
+
+            if (typeof userID !== "string" || !/^[\w.:-]{1,128}$/.test((prefix ?? "") + userID)) {
+                console.warn("[Tagger] Invalid user ID generated, using a UUIDv4 instead.");
+                userID = this.utilUUIDv4();
+            }
+        } else if (strategy === "uuidv4") {
+            userID = this.utilUUIDv4();
+        } else if (strategy === "uuidv7") {
+            userID = this.utilUUIDv7();
+        } else if (strategy === "ulid") {
+            userID = this.utilULID();
+        } else {
+            if (strategy !== "hash") {
+                console.warn("[Tagger] Unknown ID strategy:", strategy);
+            }
+
+            // Create a new user ID based on it's IP, user agent, and current time
+            let ip = await this.utilGetUserIp();
+            let userAgent = navigator.userAgent;
+            let currentTime = new Date().getTime();
+
+            userID = await this.utilSHA1(ip + userAgent + currentTime);
+        }
+
+        return (prefix ?? "") + userID;
+    },
+
+    //-----------------------------
+    // Identity functions
+    //-----------------------------
+
+    /**
+     * Links the anonymous user ID to a known user, e.g. after a login or a lead form.
+     * The anonymous ID is kept as an alias, and an alias record is sent to the remote endpoint.
+     * Identifying a different known user starts a new ID graph, as the device changed hands.
+     * Triggers the "tagger:identify" event.
+     * @param {string|number} externalID - The ID of the user in your systems, e.g. a CRM ID.
+     * @param {object} [traits={}] - Attributes of the user, merged with the stored ones. A null value removes a trait.
+     * @returns {boolean} - True if the user was identified, false if the ID is invalid or the identity couldn't be stored.
+     */
+    identify: function (externalID, traits = {}) {
+        externalID = typeof externalID === "number" ? String(externalID) : this.utilSanitizeString(externalID);
+        if (!externalID || externalID.length > 128) {
+            console.error("[Tagger] Invalid external ID.");
+            return false;
+        }
+
+        const userID = this.currentUserID ?? this.getData("userID");
+        const isSameUser = this.getData("externalID") === externalID;
+        const aliases = isSameUser ? (this.getData("aliases") ?? []) : [];
+        const storedTraits = isSameUser ? (this.getData("traits") ?? {}) : {};
+
+        const aliasAdded = this._addAlias(aliases, userID);
+        const mergedTraits = this._mergeTraits(storedTraits, traits);
+        const traitsChanged = JSON.stringify(mergedTraits) !== JSON.stringify(this.getData("traits") ?? {});
+
+        // Calling identify on every page load must not resend the same identity
+        if (!isSameUser || aliasAdded || traitsChanged) {
+            // The response of a sync in flight would overwrite the identity, so it is ignored
+            if (this.isLocked()) {
+                this.syncGeneration++;
+                this.unlock();
+            }
+
+            const stored = [
+                this.storeData("externalID", externalID),
+                this.storeData("aliases", aliases),
+                this.storeData("traits", mergedTraits),
+                this.storeData("updatedTime", new Date().getTime()),
+            ];
+            if (stored.some((value) => value === null || value === undefined)) {
+                console.error("[Tagger] Unable to store the identity.");
+                return false;
+            }
+
+            if (userID && (!isSameUser || aliasAdded)) {
+                this._sendRemoteRequest("alias", { userID, externalID, time: new Date().getTime() });
+            }
+            this._syncRemoteData(true);
+        }
+
+        console.log("[Tagger] User identified:", externalID);
+        this.triggerEvent(window, "tagger:identify", [externalID, this.getData("traits")]);
+        return true;
+    },
+
+    /**
+     * Returns the ID graph held on this device.
+     * @returns {{userID: string, externalID: string|null, aliases: Array<{id: string, time: number}>, traits: object}}
+     * - The current anonymous ID, the known user ID, every anonymous ID linked to it and the user traits.
+     */
+    getIdentity: function () {
+        return {
+            userID: this.currentUserID ?? this.getData("userID"),
+            externalID: this.getData("externalID"),
+            aliases: this.getData("aliases") ?? [],
+            traits: this.getData("traits") ?? {},
+        };
+    },
+
+    /**
+     * Clears the local Tagger state and starts a new anonymous user, e.g. on logout from a shared device.
+     * The consent choices and the requests waiting in the outbox are kept.
+     * Triggers the "tagger:reset" event.
+     * @returns {Promise<string>} - The new user ID.
+     */
+    reset: async function () {
+        const previousUserID = this.currentUserID ?? this.getData("userID");
+        this._resetLocalState(this._getOutbox());
+
+        this._setUserID(await this._retrieveUserID());
+
+        console.log("[Tagger] State reset.");
+        this.triggerEvent(window, "tagger:reset", [previousUserID, this.currentUserID]);
+        return this.currentUserID;
+    },
+
+    /**
+     * Erases the user, locally and on the remote endpoint, e.g. for a GDPR or CCPA erasure request.
+     * The deletion request is retried, across page loads, until the endpoint acknowledges it with { "deleted": true },
+     * which triggers the "tagger:forgotten" event. The local state is cleared right away, like reset() does.
+     * Triggers the "tagger:forget" event.
+     * @returns {Promise<string>} - The new user ID.
+     */
+    forget: async function () {
+        const identity = this.getIdentity();
+        const deletion = {
+            userID: identity.userID,
+            externalID: identity.externalID,
+            aliases: identity.aliases.map((alias) => alias.id),
+            time: new Date().getTime(),
+        };
+
+        // The deletion proves ownership with the key of the forgotten user, which the reset drops
+        const syncKey = this._getSyncKey();
+
+        // Queued requests would recreate the user on the remote endpoint, earlier erasures must still go out
+        this._resetLocalState(this._getOutbox().filter((request) => request.type === "forget"));
+        if (identity.userID) {
+            this._sendRemoteRequest("forget", deletion, { key: syncKey });
+        }
+
+        this._setUserID(await this._retrieveUserID());
+
+        console.log("[Tagger] User forgotten:", identity.userID);
+        this.triggerEvent(window, "tagger:forget", [identity.userID, this.currentUserID]);
+        return this.currentUserID;
+    },
+
+    /**
+     * Removes the Tagger data from every storage backend, except the consent choices.
+     * Syncs in flight are ignored, as their response belongs to the previous user.
+     * @param {Array<object>} outbox - The queued requests to keep.
+     */
+    _resetLocalState: function (outbox) {
+        this.syncGeneration++;
+        this.unlock();
+
+        this._clearPersistentData();
+        const memory = this._getStorageBackend("memory");
+        memory
+            .keys()
+            .filter((key) => key !== this.getStoragePrefix() + "consent")
+            .forEach((key) => memory.remove(key));
+
+        this._saveOutbox(outbox);
+        this.eventBatch = [];
+        this._setUserID(undefined);
+        this._setUserParams({});
+
+        // The landing of this page belongs to the previous user
+        this.touchpointCaptured = true;
+    },
+
+    /**
+     * Adds an anonymous ID to a list of aliases, once.
+     * @param {Array<object>} aliases - The aliases, modified in place.
+     * @param {string} id - The anonymous ID.
+     * @param {number} [time] - When the ID was linked, defaults to now.
+     * @returns {boolean} - True if the alias was added, false if it was already known.
+     */
+    _addAlias: function (aliases, id, time) {
+        if (!id || aliases.some((alias) => alias.id === id)) {
+            return false;
+        }
+        aliases.push({ id, time: time ?? new Date().getTime() });
+        return true;
+    },
+
+    /**
+     * Merges user traits, keeping JSON scalar values only.
+     * @param {object} storedTraits - The stored traits.
+     * @param {object} traits - The new traits. A null value removes a trait.
+     * @returns {object} - The merged traits.
+     */
+    _mergeTraits: function (storedTraits, traits) {
+        const merged = { ...storedTraits };
+        const cleanTraits = this.utilSanitizeProperties(traits);
+        for (const key in cleanTraits) {
+            if (cleanTraits[key] === null) {
+                delete merged[key];
+            } else {
+                merged[key] = cleanTraits[key];
+            }
+        }
+        return merged;
+    },
+
+    /**
+     * Links the previous anonymous ID when another one replaces it, e.g. from a remote sync.
+     * @param {string} newUserID - The anonymous ID replacing the current one.
+     */
+    _aliasReplacedUserID: function (newUserID) {
+        const previousUserID = this.getData("userID");
+        if (!previousUserID || previousUserID === newUserID) {
+            return;
+        }
+
+        this._linkAlias(previousUserID, newUserID);
+    },
+
+    /**
+     * Records an anonymous ID as an alias of the user ID, and sends the link to the remote endpoint once.
+     * @param {string} aliasID - The ID becoming an alias.
+     * @param {string} userID - The ID the user keeps.
+     */
+    _linkAlias: function (aliasID, userID) {
+        const aliases = this.getData("aliases") ?? [];
+        const aliasAdded = this._addAlias(aliases, aliasID);
+        this._addAlias(aliases, userID);
+        this.storeData("aliases", aliases);
+        if (!aliasAdded) {
+            return;
+        }
+
+        const externalID = this.getData("externalID");
+        this._sendRemoteRequest("alias", { userID: aliasID, aliasOf: userID, externalID, time: new Date().getTime() });
+    },
+
+    //-----------------------------
+    // User parameters functions
+    //-----------------------------
+
+    /**
+     * Returns the names of the URL parameters tracked as user parameters.
+     * @returns {Array<string>} - The tracked parameter names.
+     */
+    getTrackedParams: function () {
+        // Fallback for older versions
+        return this.getConfig().userParams ?? this.getConfig().userURLParams ?? this._getOption("userParams");
+    },
+
+    /**
+     * Returns the stored user parameters from the tagger storage or URL.
+     * @param {boolean} [sync=true] - Whether to sync extracted data with the remote endpoint.
+     * @returns {object} - The user parameters.
+     */
+    getUserParams: function (sync = true) {
+        // Get the external parameters
+        let params = new URLSearchParams(window.location.search);
+        let userParams = this.getTrackedParams();
+
+        // Try to retrieve the params from the Storage first
+        let storedParams = this.getData("userParams");
+
+        // Fallback for older versions
+        if (!storedParams) {
+            storedParams = this.getData("userURLParams");
+        }
+
+        // Initialize if nothing found
+        if (!storedParams || typeof storedParams !== "object" || Array.isArray(storedParams)) {
+            storedParams = {};
+        }
+
+        // Capture times of the stored params, used for expiry
+        let paramsMeta = this.getData("userParamsMeta");
+        if (!paramsMeta || typeof paramsMeta !== "object" || Array.isArray(paramsMeta)) {
+            paramsMeta = {};
+        }
+
+        let updated = false;
+        let campaignParams = {};
+        const currentTime = new Date().getTime();
+
+        // Params stored by older versions have no capture time, so their window
+        // starts with this upgrade, not with a user creation that may be years old
+        for (let key in storedParams) {
+            if (!paramsMeta[key]?.time) {
+                paramsMeta[key] = { time: currentTime, origin: "legacy" };
+                updated = true;
+            }
+        }
+
+        // Drop the params that outlived their attribution window
+        const expiredParams = this._pruneExpiredParams(storedParams, paramsMeta);
+        expiredParams.forEach(({ param }) => {
+            // Individually stored params would be merged back otherwise
+            const cookieName = this.getStoragePrefix() + "param-" + param;
+            if (this.utilGetCookie(cookieName) !== null) {
+                this.utilSetCookie(cookieName, "", -1);
+            }
+            updated = true;
+        });
+
+        // Retrieve the external parameters from the URL
+        userParams.forEach((param) => {
+            if (params.has(param)) {
+                campaignParams[param] = this.utilSanitizeString(params.get(param));
+            }
+        });
+
+        // Plugins can rename, add or drop the captured params
+        const hookedParams = this._runHook("captureParams", campaignParams, params) || {};
+        campaignParams = {};
+        for (const key in hookedParams) {
+            campaignParams[key] = this.utilSanitizeString(String(hookedParams[key] ?? ""));
+        }
+
+        // Explicit campaign params always replace the ones derived from a referrer
+        if (Object.keys(campaignParams).length) {
+            for (let key in storedParams) {
+                if (paramsMeta[key]?.origin === "referrer") {
+                    delete storedParams[key];
+                    // Keep the removal, so a remote sync doesn't bring the param back
+                    paramsMeta[key] = { time: currentTime, origin: "url", deleted: true };
+                    updated = true;
+                }
+            }
+        }
+
+        // Merge only missing ones
+        for (const param in campaignParams) {
+            if (!(param in storedParams)) {
+                storedParams[param] = campaignParams[param];
+                paramsMeta[param] = { time: currentTime, origin: "url" };
+                updated = true;
+            }
+        }
+
+        // Params can also be stored individually in a cookie
+        // Using the __tg-param-{{NAME}} format (with the storage prefix). So we need to read all
+        // matching cookies and merge them into the storedParams object
+        const cookies = document.cookie.split("; ");
+        cookies.forEach((cookie) => {
+            let [key, value] = cookie.split("=");
+
+            // Check if the cookie is a tagger param
+            const paramPrefix = this.getStoragePrefix() + "param-";
+            if (!key.startsWith(paramPrefix)) return;
+
+            const cleanKey = key.trim().slice(paramPrefix.length);
+
+            // If we already have the key in the storedParams, skip it
+            if (!cleanKey || cleanKey in storedParams) return;
+
+            // Decode from base64
+            try {
+                value = atob(decodeURIComponent(value).trim());
+                storedParams[cleanKey] = value;
+                paramsMeta[cleanKey] = { time: currentTime, origin: "cookie" };
+                updated = true;
+            } catch (e) {
+                console.error("[Tagger] Error decoding cookie value: ", e);
+            }
+        });
+
+        // Without campaign params, derive the source and medium from the referrer
+        let touchpointParams = campaignParams;
+        if (!Object.keys(campaignParams).length && this._getOption("classifyReferrer")) {
+            const referrerParams = this.utilClassifyReferrer(document.referrer);
+            const isDirect = referrerParams?.utm_medium === "(none)";
+
+            if (referrerParams && this._applyReferrerParams(storedParams, paramsMeta, referrerParams, userParams)) {
+                updated = true;
+            }
+
+            // Direct visits don't count as touchpoints
+            touchpointParams = referrerParams && !isDirect ? referrerParams : {};
+        }
+
+        // Every campaign landing is kept in the touchpoint history, even when
+        // the params above were already set by an earlier visit
+        if (this._recordTouchpoint(touchpointParams)) {
+            updated = true;
+        }
+
+        // Count the page view, a new campaign starts a new session
+        this._trackPageView(touchpointParams);
+
+        // Sanitize all stored params
+        for (let key in storedParams) {
+            storedParams[key] = this.utilSanitizeString(storedParams[key]);
+        }
+
+        // If we've added or updated anything, save it
+        if (updated) {
+            this.storeData("userParams", storedParams);
+            this.storeData("userParamsMeta", paramsMeta);
+            this.storeData("updatedTime", currentTime);
+
+            // Sync with remote if needed
+            if (sync) {
+                this._syncRemoteData();
+            }
+        }
+
+        expiredParams.forEach(({ param, value }) => {
+            console.log("[Tagger] Param expired:", param);
+            this.triggerEvent(window, "tagger:paramExpired", [param, value]);
+        });
+
+        return storedParams;
+    },
+
+    /**
+     * Stores the params derived from the referrer when no source was captured yet.
+     * A derived direct source can still be replaced by a later derived source.
+     * @param {object} storedParams - The stored user parameters, modified in place.
+     * @param {object} paramsMeta - The capture times of the params, modified in place.
+     * @param {object} referrerParams - The derived utm_source and utm_medium.
+     * @param {Array<string>} userParams - The tracked parameter names.
+     * @returns {boolean} - True if the stored params changed, false otherwise.
+     */
+    _applyReferrerParams: function (storedParams, paramsMeta, referrerParams, userParams) {
+        const isDerived = (key) => paramsMeta[key]?.origin === "referrer";
+        const isDirect = (key) => isDerived(key) && storedParams[key] === (key === "utm_source" ? "(direct)" : "(none)");
+
+        const keys = Object.keys(referrerParams).filter((key) => userParams.includes(key));
+        const canApply = keys.every((key) => !(key in storedParams) || (isDirect(key) && referrerParams.utm_medium !== "(none)"));
+        if (!keys.length || !canApply) {
+            return false;
+        }
+
+        const currentTime = new Date().getTime();
+        keys.forEach((key) => {
+            storedParams[key] = referrerParams[key];
+            paramsMeta[key] = { time: currentTime, origin: "referrer" };
+        });
+        return true;
+    },
+
+    /**
+     * Returns a specific user parameter from the tagger storage or URL.
+     * @param {string} param - The parameter to retrieve.
+     * @returns {string} - The user parameter.
+     */
+    getUserParam: function (param) {
+        return this.getUserParams()[param];
+    },
+
+    /**
+     * Sets a specific user parameter in the tagger storage.
+     * @param {string} param - The parameter to set.
+     * @param {string} value - The value to set.
+     * @param {boolean} [sync=true] - Whether to sync the data with the remote endpoint.
+     * @returns {object} - True if the parameter was set, false otherwise.
+     */
+    setUserParam: function (param, value, sync = true) {
+        let userParams = this.getUserParams();
+        if (!userParams || typeof userParams !== "object" || Array.isArray(userParams)) {
+            userParams = {};
+        }
+        const oldValue = userParams[param];
+        if (oldValue === value) {
+            return false;
+        }
+
+        userParams[param] = this.utilSanitizeString(value);
+
+        // Restart the attribution window of the param
+        const paramsMeta = this.getData("userParamsMeta") || {};
+        paramsMeta[param] = { time: new Date().getTime(), origin: "manual" };
+
+        this.storeData("userParams", userParams);
+        this.storeData("userParamsMeta", paramsMeta);
+        this.storeData("updatedTime", new Date().getTime());
+
+        // Sync with remote if needed
+        if (sync) {
+            this._syncRemoteData();
+        }
+
+        this._setUserParams(userParams);
+        return true;
+    },
+
+    /**
+     * Returns the attribution window of a user parameter.
+     * Configured in days through taggerConfig.paramTTL, e.g. { default: 365, gclid: 90 }.
+     * @param {string} param - The parameter name.
+     * @returns {number} - The lifetime in milliseconds, 0 if the param never expires.
+     */
+    getParamTTL: function (param) {
+        const paramTTL = this.getConfig().paramTTL ?? {};
+        const days = param in paramTTL ? paramTTL[param] : (paramTTL.default ?? 365);
+        return Math.max(0, Number(days) || 0) * 24 * 60 * 60 * 1000;
+    },
+
+    /**
+     * Checks if a user parameter has outlived its attribution window.
+     * @param {string} param - The parameter name.
+     * @param {object} paramsMeta - The capture times of the stored params.
+     * @returns {boolean} - Returns true if the param is expired, false otherwise.
+     */
+    isParamExpired: function (param, paramsMeta) {
+        const ttl = this.getParamTTL(param);
+        const capturedTime = paramsMeta?.[param]?.time;
+        return ttl > 0 && !!capturedTime && new Date().getTime() - capturedTime > ttl;
+    },
+
+    /**
+     * Removes the expired params from a params object and its capture times.
+     * @param {object} params - The user parameters, modified in place.
+     * @param {object} paramsMeta - The capture times of the params, modified in place.
+     * @returns {Array<{param: string, value: string}>} - The removed params.
+     */
+    _pruneExpiredParams: function (params, paramsMeta) {
+        const expired = [];
+        for (let param in params) {
+            if (!this.isParamExpired(param, paramsMeta)) continue;
+
+            expired.push({ param, value: params[param] });
+            delete params[param];
+            delete paramsMeta[param];
+        }
+
+        // Removals are kept as long as the param they removed could have lived
+        for (let param in paramsMeta) {
+            if (paramsMeta[param]?.deleted && this.isParamExpired(param, paramsMeta)) {
+                delete paramsMeta[param];
+            }
+        }
+        return expired;
+    },
+
+    //-----------------------------
+    // Attribution functions
+    //-----------------------------
+
+    /**
+     * Returns the first recorded touchpoint.
+     * @returns {object|null} - The first touchpoint or null if none was recorded.
+     */
+    getFirstTouch: function () {
+        return this._pruneTouchpoint(this.getData("firstTouch"));
+    },
+
+    /**
+     * Returns the most recent touchpoint.
+     * @returns {object|null} - The last touchpoint or null if none was recorded.
+     */
+    getLastTouch: function () {
+        return this._pruneTouchpoint(this.getData("lastTouch"));
+    },
+
+    /**
+     * Returns the recorded touchpoints, oldest first.
+     * Each touchpoint holds its timestamp, params, landingURL and referrer.
+     * @returns {Array<object>} - The touchpoints.
+     */
+    getTouchpoints: function () {
+        const touchpoints = this.getData("touchpoints");
+        return Array.isArray(touchpoints) ? touchpoints.map((touchpoint) => this._pruneTouchpoint(touchpoint)) : [];
+    },
+
+    /**
+     * Removes the params that outlived their attribution window from a touchpoint, see paramTTL.
+     * @param {object|null} touchpoint - The touchpoint.
+     * @returns {object|null} - A copy of the touchpoint without the expired params.
+     */
+    _pruneTouchpoint: function (touchpoint) {
+        if (!touchpoint?.params || typeof touchpoint.params !== "object") {
+            return touchpoint ?? null;
+        }
+
+        const params = { ...touchpoint.params };
+        const paramsMeta = {};
+        for (const param in params) {
+            paramsMeta[param] = { time: touchpoint.timestamp };
+        }
+        this._pruneExpiredParams(params, paramsMeta);
+
+        return { ...touchpoint, params };
+    },
+
+    /**
+     * Records a touchpoint for the current landing.
+     * Updates the first touch, the last touch and the bounded touchpoint list.
+     * Triggers the "tagger:touchpointRecorded" event when a touchpoint is recorded.
+     * @param {object} campaignParams - The tracked params found in the current URL.
+     * @returns {boolean} - True if a touchpoint was recorded, false otherwise.
+     */
+    _recordTouchpoint: function (campaignParams) {
+        // Only one touchpoint per page load, and only for campaign landings
+        if (this.touchpointCaptured || !campaignParams || !Object.keys(campaignParams).length) {
+            return false;
+        }
+
+        const touchpoint = {
+            timestamp: new Date().getTime(),
+            params: campaignParams,
+            landingURL: this.utilSanitizeString(window.location.origin + window.location.pathname),
+            referrer: this.utilSanitizeString(document.referrer),
+        };
+
+        // A refresh of the same landing is not a new touchpoint
+        const lastTouch = this.getLastTouch();
+        if (
+            lastTouch &&
+            lastTouch.landingURL === touchpoint.landingURL &&
+            JSON.stringify(lastTouch.params) === JSON.stringify(touchpoint.params)
+        ) {
+            this.touchpointCaptured = true;
+            return false;
+        }
+
+        // Keep only the most recent touchpoints
+        const maxTouchpoints = this._getOption("maxTouchpoints");
+        const touchpoints = [...this.getTouchpoints(), touchpoint].slice(-Math.max(1, maxTouchpoints));
+
+        if (!this.getFirstTouch()) {
+            this.storeData("firstTouch", touchpoint);
+        }
+        if (!this.storeData("lastTouch", touchpoint)) {
+            return false; // Storage is locked, try again on the next call
+        }
+        this.storeData("touchpoints", touchpoints);
+        this.touchpointCaptured = true;
+
+        this.triggerEvent(window, "tagger:touchpointRecorded", [touchpoint]);
+        return true;
+    },
+
+    //-----------------------------
+    // Session functions
+    //-----------------------------
+
+    /**
+     * Returns the current session.
+     * A session holds its id, count (1 for the first session of the user), startTime, lastActivity,
+     * landingURL, referrer, params (the campaign that started it) and pageViews.
+     * @returns {object|null} - The session, or null if it expired or none was started.
+     */
+    getSession: function () {
+        const session = this.getData("session");
+        return session && !this._isSessionExpired(session) ? session : null;
+    },
+
+    /**
+     * Checks if a session ended, after taggerConfig.sessionTimeout milliseconds of inactivity (default: 30 minutes).
+     * @param {object} session - The session.
+     * @returns {boolean} - Returns true if the session expired, false otherwise.
+     */
+    _isSessionExpired: function (session) {
+        const sessionTimeout = this._getOption("sessionTimeout");
+        return new Date().getTime() - (session.lastActivity || 0) > sessionTimeout;
+    },
+
+    /**
+     * Counts the page view of the current page load, once.
+     * A new session starts when the previous one expired or when the visitor lands from another campaign.
+     * @param {object} campaignParams - The campaign params of the landing, empty for internal and direct visits.
+     */
+    _trackPageView: function (campaignParams) {
+        if (this.pageViewTracked) {
+            return;
+        }
+
+        const session = this.getSession();
+        const isNewCampaign =
+            session && Object.keys(campaignParams ?? {}).length > 0 && JSON.stringify(session.params) !== JSON.stringify(campaignParams);
+
+        if (!session || isNewCampaign) {
+            this._startSession(campaignParams);
+        } else {
+            session.pageViews++;
+            session.lastActivity = new Date().getTime();
+            this._writeData("session", session);
+        }
+        this.pageViewTracked = true;
+    },
+
+    /**
+     * Starts a new session on the current page.
+     * Sessions are never overwritten by remote sync, so they are written even while a sync is in progress.
+     * Triggers the "tagger:sessionStart" event.
+     * @param {object} campaignParams - The campaign params of the landing.
+     * @returns {object} - The new session.
+     */
+    _startSession: function (campaignParams) {
+        const currentTime = new Date().getTime();
+        const previous = this.getData("session");
+        const session = {
+            id: this.utilUUIDv7(),
+            count: (previous?.count ?? 0) + 1,
+            startTime: currentTime,
+            lastActivity: currentTime,
+            landingURL: this.utilSanitizeString(window.location.origin + window.location.pathname),
+            referrer: this.utilSanitizeString(document.referrer),
+            params: { ...(campaignParams ?? {}) },
+            pageViews: 1,
+        };
+
+        this._writeData("session", session);
+
+        console.log("[Tagger] Session started:", session.count);
+        this.triggerEvent(window, "tagger:sessionStart", [session]);
+        return session;
+    },
+
+    /**
+     * Extends the current session, or starts a new one, on an interaction of the visitor.
+     * @returns {object|null} - The current session.
+     */
+    _touchSession: function () {
+        const session = this.getSession();
+        if (!session) {
+            return this._startSession({});
+        }
+
+        session.lastActivity = new Date().getTime();
+        this._writeData("session", session);
+        return session;
+    },
+
+    //-----------------------------
+    // Event tracking functions
+    //-----------------------------
+
+    /**
+     * Records an event or a conversion, sent in batches to taggerConfig.eventsEndpoint (default: the remote endpoint).
+     * Events are stamped with the user ID and the current params, and use the outbox like remote sync.
+     * Triggers the "tagger:track" event, even when the event can't be sent.
+     * @param {string} name - The event name, e.g. "purchase".
+     * @param {object} [properties={}] - Attributes of the event, strings, numbers and booleans.
+     * @param {object} [options={}] - The conversion { value, currency }, currency as an ISO 4217 code.
+     * @returns {object|null} - The recorded event, or null if the name is invalid.
+     */
+    track: function (name, properties = {}, options = {}) {
+        name = this.utilSanitizeString(name);
+        if (!name || name.length > 100) {
+            console.error("[Tagger] Invalid event name.");
+            return null;
+        }
+
+        const event = {
+            id: this.utilUUIDv4(),
+            name,
+            time: new Date().getTime(),
+            ...this._getEventContext(),
+            properties: this.utilSanitizeProperties(properties),
+        };
+
+        const value = Number(options?.value);
+        if (options?.value !== undefined && options?.value !== null && options?.value !== "" && isFinite(value)) {
+            event.value = value;
+        }
+        if (typeof options?.currency === "string" && /^[a-z]{3}$/i.test(options.currency)) {
+            event.currency = options.currency.toUpperCase();
+        }
+
+        if (this.hasConsent("analytics")) {
+            this.eventBatch.push(event);
+            this._scheduleEventBatch();
+        }
+
+        this.triggerEvent(window, "tagger:track", [event]);
+        return event;
+    },
+
+    /**
+     * Returns the context every tracked event is stamped with.
+     * Tracking an event counts as activity in the session.
+     * @returns {object} - The user ID, known user ID, session, current params and page.
+     */
+    _getEventContext: function () {
+        const session = this._touchSession();
+        const context = {
+            userID: this.currentUserID ?? this.getData("userID"),
+            sessionID: session?.id ?? null,
+            sessionCount: session?.count ?? null,
+            params: { ...(this.currentUserParams ?? {}) },
+            url: window.location.href,
+        };
+
+        const externalID = this.getData("externalID");
+        if (externalID) context.externalID = externalID;
+
+        return context;
+    },
+
+    /**
+     * Sends the batch once it holds taggerConfig.eventsBatchSize events (default: 20),
+     * or taggerConfig.eventsBatchDelay milliseconds after the first one (default: 1000).
+     */
+    _scheduleEventBatch: function () {
+        const batchSize = this._getOption("eventsBatchSize");
+        const batchDelay = this._getOption("eventsBatchDelay");
+
+        if (this.eventBatch.length >= batchSize) {
+            this._flushEvents();
+        } else if (!this.eventBatchTimer) {
+            this.eventBatchTimer = setTimeout(() => this._flushEvents(), batchDelay);
+        }
+    },
+
+    /**
+     * Moves the batched events to the outbox.
+     * @param {boolean} [deliver=true] - Whether to send them right away, false when the page goes away.
+     */
+    _flushEvents: function (deliver = true) {
+        clearTimeout(this.eventBatchTimer);
+        this.eventBatchTimer = null;
+
+        const events = this.eventBatch;
+        this.eventBatch = [];
+        if (!events.length) {
+            return;
+        }
+
+        const endpoint = this.getConfig().eventsEndpoint ?? (this.getConfig().remoteSync ? this.getConfig().remoteEndpoint : null);
+        if (!endpoint) {
+            return;
+        }
+
+        this._sendRemoteRequest("events", { events }, { endpoint, deliver });
+    },
+
+    /**
+     * Records the events of the elements clicked or submitted by the visitor.
+     * The event name, value and currency are set with the data-tg-event, data-tg-value and data-tg-currency attributes.
+     * Disabled with taggerConfig.autoTrack = false.
+     * @param {Element} element - The .tg-conv-click element or .tg-form-submit form.
+     * @param {string} defaultName - The event name without a data-tg-event attribute.
+     */
+    _trackElement: function (element, defaultName) {
+        if (this._getOption("autoTrack") === false) {
+            return;
+        }
+
+        const properties = {};
+        const id = element.id || element.getAttribute("name");
+        if (id) properties.element = id;
+        if (element.tagName === "FORM") {
+            properties.action = element.getAttribute("action") ?? "";
+        } else {
+            if (element.href) properties.href = element.href;
+            const text = element.textContent?.trim();
+            if (text) properties.text = text.substring(0, 100);
+        }
+
+        this.track(element.dataset.tgEvent || defaultName, properties, {
+            value: element.dataset.tgValue,
+            currency: element.dataset.tgCurrency,
+        });
+    },
+
+    //-----------------------------
+    // Plugin functions
+    //-----------------------------
+
+    /**
+     * Registers a plugin, an object with a name and hooks, or a function receiving Tagger and returning one.
+     * Hooks receive a value, return a changed value (or nothing to keep it) or false to veto the operation:
+     * - init(tagger): once Tagger is ready.
+     * - captureParams(params, urlParams): the params captured from the URL, with the URLSearchParams of the page.
+     * - storeData(value, key): every write to the storage.
+     * - beforeSync(data): the data sent to the remote endpoint.
+     * - afterSync(data): the data received from the remote endpoint, before it is applied.
+     * - decorateLink(url, link): the decorated URL of a link.
+     * - formSubmit(values, form): the hidden field values of a submitted form, by input name.
+     * Plugins run in the order they were registered, each receiving the value returned by the previous one.
+     * @param {object|Function} plugin - The plugin.
+     * @returns {object} - The Tagger instance, for chaining.
+     */
+    use: function (plugin) {
+        if (typeof plugin === "function") {
+            try {
+                plugin = plugin(this);
+            } catch (e) {
+                console.error("[Tagger] Error creating plugin: ", e);
+                return this;
+            }
+        }
+
+        if (!plugin || typeof plugin !== "object") {
+            console.error("[Tagger] Invalid plugin.");
+            return this;
+        }
+        if (this.plugins.includes(plugin) || (plugin.name && this.plugins.some((registered) => registered.name === plugin.name))) {
+            console.warn("[Tagger] Plugin already registered:", plugin.name);
+            return this;
+        }
+
+        this.plugins.push(plugin);
+        console.log("[Tagger] Plugin registered:", plugin.name ?? "(anonymous)");
+
+        // Plugins registered late still get the init hook
+        if (this.ready && typeof plugin.init === "function") {
+            try {
+                plugin.init(this);
+            } catch (e) {
+                console.error("[Tagger] Error in the init hook of the " + (plugin.name ?? "anonymous") + " plugin: ", e);
+            }
+        }
+        return this;
+    },
+
+    /**
+     * Runs a hook of every plugin, passing the value returned by each one to the next.
+     * @param {string} hook - The hook name.
+     * @param {any} value - The value the hook can change.
+     * @param {...any} args - Extra arguments of the hook.
+     * @returns {any} - The final value, or false if a plugin vetoed the operation.
+     */
+    _runHook: function (hook, value, ...args) {
+        for (const plugin of this.plugins) {
+            if (typeof plugin[hook] !== "function") continue;
+
+            try {
+                const result = plugin[hook](value, ...args);
+                if (result === false) {
+                    return false;
+                }
+                if (result !== undefined) {
+                    value = result;
+                }
+            } catch (e) {
+                console.error("[Tagger] Error in the " + hook + " hook of the " + (plugin.name ?? "anonymous") + " plugin: ", e);
+            }
+        }
+        return value;
+    },
+
+    //-----------------------------
+    // Integration functions
+    //-----------------------------
+
+    /**
+     * Returns the enabled integrations and their options, from taggerConfig.integrations.
+     * e.g. { dataLayer: true, gtag: { fields: { utm_source: "first_source" } }, metaPixel: { pixelID: "123" } }
+     * @returns {object} - The options of each enabled integration.
+     */
+    getIntegrationsConfig: function () {
+        const integrations = this.getConfig().integrations ?? {};
+        const config = {};
+        for (const name in integrations) {
+            if (integrations[name]) {
+                config[name] = integrations[name] === true ? {} : integrations[name];
+            }
+        }
+        return config;
+    },
+
+    /**
+     * Sets up the enabled integrations, which receive the init, params capture, identify and track events.
+     * Each integration needs the consent of its purpose: analytics for dataLayer and gtag, ads for the pixels.
+     */
+    _setupIntegrations: function () {
+        if (this.integrations) {
+            return;
+        }
+        this.integrations = [];
+
+        const config = this.getIntegrationsConfig();
+        for (const name in config) {
+            const integration = this._createIntegration(name, config[name]);
+            if (integration) {
+                this.integrations.push(integration);
+            } else {
+                console.warn("[Tagger] Unknown integration:", name);
+            }
+        }
+
+        if (!this.integrations.length) {
+            return;
+        }
+
+        const dispatch = (hook, ...args) => {
+            this.integrations.forEach((integration) => {
+                if (!this.hasConsent(integration.purpose)) return;
+                try {
+                    integration[hook]?.(this._getIntegrationContext(), ...args);
+                } catch (e) {
+                    console.error("[Tagger] Error in the " + integration.name + " integration: ", e);
+                }
+            });
+        };
+
+        this.on("tagger:init", () => dispatch("init"));
+        // Params are stored right after the touchpoint is recorded
+        this.on("tagger:touchpointRecorded", () => setTimeout(() => dispatch("params"), 0));
+        this.on("tagger:identify", () => dispatch("identify"));
+        this.on("tagger:track", ([event]) => dispatch("track", event));
+    },
+
+    /**
+     * Returns the data sent to the integrations.
+     * @returns {object} - The userID, externalID, sessionID and stored params.
+     */
+    _getIntegrationContext: function () {
+        return {
+            userID: this.currentUserID ?? this.getData("userID"),
+            externalID: this.getData("externalID"),
+            sessionID: this.getSession()?.id ?? null,
+            ...(this.getData("userParams") ?? {}),
+        };
+    },
+
+    /**
+     * Renames the context fields for a vendor.
+     * @param {object} context - The integration context.
+     * @param {object} fields - The vendor name of each field, false drops the field.
+     * @param {boolean} includeUnmapped - Whether to keep the fields missing from the mapping, under their own name.
+     * @returns {object} - The mapped fields, without the empty ones.
+     */
+    _mapIntegrationFields: function (context, fields, includeUnmapped) {
+        const mapped = {};
+        for (const key in context) {
+            const target = key in fields ? fields[key] : includeUnmapped && key;
+            if (target && context[key] !== null && context[key] !== undefined && context[key] !== "") {
+                mapped[target] = context[key];
+            }
+        }
+        return mapped;
+    },
+
+    /**
+     * Returns the properties of a tracked event, with its value and currency, for a vendor.
+     * @param {object} event - The tracked event.
+     * @returns {object} - The event data.
+     */
+    _getIntegrationEventData: function (event) {
+        const data = { ...event.properties };
+        if (event.value !== undefined) data.value = event.value;
+        if (event.currency) data.currency = event.currency;
+        return data;
+    },
+
+    /**
+     * Creates an integration.
+     * An integration has a name, the consent purpose it needs and init, params, identify and track handlers,
+     * which do nothing when the vendor script isn't on the page.
+     * @param {string} name - The integration name: dataLayer, gtag, metaPixel or tiktokPixel.
+     * @param {object} options - The integration options, with the field mapping in fields.
+     * @returns {object|null} - The integration, or null if the name is unknown.
+     */
+    _createIntegration: function (name, options) {
+        switch (name) {
+            case "dataLayer": {
+                const fields = { userID: "tagger_user_id", externalID: "tagger_external_id", sessionID: "tagger_session_id", ...options.fields };
+                const events = { init: "tagger_init", params: "tagger_params", identify: "tagger_identify", ...options.events };
+                const push = (eventName, data) => {
+                    if (!eventName) return;
+                    const layerName = options.name ?? "dataLayer";
+                    window[layerName] = window[layerName] || [];
+                    window[layerName].push({ event: eventName, ...data });
+                };
+
+                return {
+                    name,
+                    purpose: "analytics",
+                    init: (context) => push(events.init, this._mapIntegrationFields(context, fields, true)),
+                    params: (context) => push(events.params, this._mapIntegrationFields(context, fields, true)),
+                    identify: (context) => push(events.identify, this._mapIntegrationFields(context, fields, true)),
+                    track: (context, event) =>
+                        push(event.name, {
+                            tagger_event_id: event.id,
+                            ...this._mapIntegrationFields(context, fields, true),
+                            ...this._getIntegrationEventData(event),
+                        }),
+                };
+            }
+            case "gtag": {
+                // GA4 already collects the session and campaign of each hit, so only mapped params become user properties
+                const fields = { userID: "tagger_user_id", ...options.fields };
+                const gtag = (...args) => typeof window.gtag === "function" && window.gtag(...args);
+                const setUser = (context) => {
+                    gtag("set", "user_properties", this._mapIntegrationFields(context, fields, false));
+                    if (context.externalID && options.userID !== false) {
+                        gtag("set", { user_id: context.externalID });
+                    }
+                };
+
+                return {
+                    name,
+                    purpose: "analytics",
+                    init: setUser,
+                    params: setUser,
+                    identify: setUser,
+                    track: (context, event) => gtag("event", event.name, this._getIntegrationEventData(event)),
+                };
+            }
+            case "metaPixel": {
+                const fields = { userID: "external_id", ...options.fields };
+                const fbq = (...args) => typeof window.fbq === "function" && window.fbq(...args);
+
+                // Advanced matching data is set by initializing the pixel again
+                const setUser = (context) => {
+                    if (options.pixelID) fbq("init", options.pixelID, this._mapIntegrationFields(context, fields, false));
+                };
+
+                return {
+                    name,
+                    purpose: "ads",
+                    init: setUser,
+                    identify: setUser,
+                    track: (context, event) => fbq("trackCustom", event.name, this._getIntegrationEventData(event), { eventID: event.id }),
+                };
+            }
+            case "tiktokPixel": {
+                const fields = { userID: "external_id", ...options.fields };
+                const ttq = () => (typeof window.ttq?.track === "function" ? window.ttq : null);
+                const setUser = (context) => ttq()?.identify?.(this._mapIntegrationFields(context, fields, false));
+
+                return {
+                    name,
+                    purpose: "ads",
+                    init: setUser,
+                    identify: setUser,
+                    track: (context, event) => ttq()?.track(event.name, this._getIntegrationEventData(event), { event_id: event.id }),
+                };
+            }
+            default:
+                return null;
+        }
+    },
+
+    //-----------------------------
+    // Linker functions
+    //-----------------------------
+
+    /**
+     * Returns the cross-domain linker settings.
+     * Enabled with taggerConfig.linker, either true or { param, maxAge }.
+     * @returns {{param: string, maxAge: number}|null} - The linker settings or null if disabled.
+     */
+    getLinkerConfig: function () {
+        const linker = this.getConfig().linker;
+        if (!linker) {
+            return null;
+        }
+
+        return {
+            param: linker.param ?? "_tgl",
+            maxAge: linker.maxAge ?? 120000, // Default 2 minutes
+        };
+    },
+
+    /**
+     * Creates a linker token carrying the user ID and params to another domain.
+     * Format: 1.{timestamp}.{base64url payload}.{checksum}
+     * The checksum covers the user agent, so a link copied into another browser is ignored.
+     * It is not a signature: anyone knowing the payload and the user agent can compute it.
+     * @returns {string|null} - The token or null if there is no user ID.
+     */
+    createLinkerToken: function () {
+        const userID = this.getUserID();
+        if (!userID) {
+            return null;
+        }
+
+        const timestamp = new Date().getTime().toString(36);
+        const userParams = this._getForwardableParams();
+        const paramsMeta = this.getData("userParamsMeta") ?? {};
+
+        // Capture times travel with the params, so their attribution window doesn't restart on the destination
+        const paramTimes = {};
+        for (const key in userParams) {
+            if (typeof paramsMeta[key]?.time === "number") paramTimes[key] = paramsMeta[key].time;
+        }
+
+        const payload = this.utilBase64URLEncode(JSON.stringify({ id: userID, p: userParams, t: paramTimes }));
+        const checksum = this.utilHash(["1", timestamp, payload, navigator.userAgent].join("."));
+
+        return ["1", timestamp, payload, checksum].join(".");
+    },
+
+    /**
+     * Validates a linker token and extracts its data.
+     * @param {string} token - The linker token.
+     * @returns {{userID: string, userParams: object, paramTimes: object, time: number}|null} - The token data,
+     * with the capture time of each param (never later than the token), or null if invalid or expired.
+     */
+    _parseLinkerToken: function (token) {
+        const linker = this.getLinkerConfig();
+        const [version, timestamp, payload, checksum] = (token ?? "").split(".");
+
+        if (version !== "1" || !timestamp || !payload || !checksum) {
+            return null;
+        }
+        if (this.utilHash([version, timestamp, payload, navigator.userAgent].join(".")) !== checksum) {
+            console.warn("[Tagger] Linker token checksum mismatch.");
+            return null;
+        }
+
+        // Shared links must not merge strangers
+        const time = parseInt(timestamp, 36);
+        const age = new Date().getTime() - time;
+        if (!time || age < 0 || age > linker.maxAge) {
+            console.warn("[Tagger] Linker token expired.");
+            return null;
+        }
+
+        try {
+            const data = JSON.parse(this.utilBase64URLDecode(payload));
+            const userID = this.utilSanitizeString(data?.id);
+            if (!userID) {
+                return null;
+            }
+
+            // Only tracked params are adopted
+            const userParams = {};
+            const paramTimes = {};
+            const trackedParams = this.getTrackedParams();
+            for (const key in data.p ?? {}) {
+                if (trackedParams.includes(key)) {
+                    userParams[key] = this.utilSanitizeString(data.p[key]);
+                    const paramTime = data.t?.[key];
+                    paramTimes[key] = typeof paramTime === "number" && paramTime > 0 ? Math.min(paramTime, time) : time;
+                }
+            }
+
+            return { userID, userParams, paramTimes, time };
+        } catch (e) {
+            console.warn("[Tagger] Error decoding linker token: ", e);
+            return null;
+        }
+    },
+
+    /**
+     * Adopts the user ID and params of a linker token found in the current URL.
+     * A user already known on this domain keeps its ID, and the token ID becomes one of its aliases.
+     * With remote sync, the endpoint only lets the device holding its sync key use an ID,
+     * so this domain always keeps an ID of its own and links the token ID to it.
+     * The token is removed from the address bar so it isn't shared further.
+     * Triggers the "tagger:linkerAdopted" event when the identity is adopted.
+     * @returns {Promise<boolean>} - True if the identity was adopted, false otherwise.
+     */
+    _adoptLinkerIdentity: async function () {
+        const linker = this.getLinkerConfig();
+        const token = linker ? this.utilGetParamFromURL(linker.param) : null;
+        if (!token) {
+            return false;
+        }
+
+        // Remove the token from the address bar
+        try {
+            const url = new URL(window.location.href);
+            url.searchParams.delete(linker.param);
+            window.history.replaceState(window.history.state, "", url.href);
+        } catch (e) {
+            console.warn("[Tagger] Unable to remove the linker token from the URL: ", e);
+        }
+
+        const data = this._parseLinkerToken(token);
+        if (!data) {
+            return false;
+        }
+
+        const currentTime = new Date().getTime();
+        const storedParams = this.getData("userParams") ?? {};
+        const paramsMeta = this.getData("userParamsMeta") ?? {};
+
+        // Keep the params already captured on this domain
+        for (const key in data.userParams) {
+            if (!(key in storedParams)) {
+                storedParams[key] = data.userParams[key];
+                paramsMeta[key] = { time: data.paramTimes[key], origin: "linker" };
+            }
+        }
+
+        let currentUserID = this.getData("userID");
+        if (!currentUserID && this.getConfig().remoteSync && this.getConfig().remoteEndpoint) {
+            currentUserID = await this._retrieveUserID();
+        }
+        const userID = currentUserID ?? data.userID;
+        if (!currentUserID) {
+            this.storeData("userID", data.userID);
+        } else if (currentUserID !== data.userID) {
+            this._linkAlias(data.userID, currentUserID);
+        }
+        this.storeData("userParams", storedParams);
+        this.storeData("userParamsMeta", paramsMeta);
+        this.storeData("updatedTime", currentTime);
+        if (!this.getData("userCreateTime")) {
+            this.storeData("userCreateTime", data.time);
+        }
+
+        console.log("[Tagger] Linker identity adopted:", userID);
+        this.triggerEvent(window, "tagger:linkerAdopted", [userID, data.userID]);
+        return true;
+    },
+
+    /**
+     * Replaces the linker token of a decorated link with a fresh one.
+     * Links are decorated on load, so the token would expire before late clicks otherwise.
+     * @param {Element|null} link - The clicked link.
+     */
+    _refreshLinkerToken: function (link) {
+        const linker = this.getLinkerConfig();
+        const href = link?.getAttribute("href");
+        if (!linker || !href) {
+            return;
+        }
+
+        try {
+            const url = new URL(href, window.location.href);
+            if (!url.searchParams.has(linker.param)) {
+                return;
+            }
+
+            const token = this.createLinkerToken();
+            if (token) {
+                url.searchParams.set(linker.param, token);
+                link.setAttribute("href", url.href);
+            }
+        } catch (e) {
+            console.error("[Tagger] Error refreshing linker token: ", e);
+        }
+    },
+
+    //-----------------------------
+    // Form functions
+    //-----------------------------
+
+    /**
+     * Returns the hidden fields injected into forms, as a map of field key to input name.
+     * Defaults to user_id, every tracked param, first_touch, last_touch and referrer,
+     * prefixed with the storage prefix of instances using another one than the default.
+     * Entries of taggerConfig.formFields rename fields, or disable them when set to false.
+     * @returns {Object<string, string>} - The field mapping.
+     */
+    getFormFields: function () {
+        const config = this.getConfig().formFields ?? {};
+        if (config === false) {
+            return {};
+        }
+
+        const namespace = this._getInstanceNamespace();
+        const fields = { user_id: namespace + "user_id" };
+        this.getTrackedParams().forEach((param) => {
+            fields[param] = namespace + param;
+        });
+        fields.first_touch = namespace + "tg_first_touch";
+        fields.last_touch = namespace + "tg_last_touch";
+        fields.referrer = namespace + "tg_referrer";
+
+        for (const key in config) {
+            if (config[key]) {
+                fields[key] = config[key];
+            } else {
+                delete fields[key];
+            }
+        }
+        return fields;
+    },
+
+    /**
+     * Returns the value of an attribution field for form submissions.
+     * @param {string} key - The field key, e.g. "user_id", "first_touch" or a tracked param.
+     * @returns {string} - The field value, empty if unknown.
+     */
+    getFormFieldValue: function (key) {
+        switch (key) {
+            case "user_id":
+                return this.getUserID() ?? "";
+            case "first_touch":
+                return this.getFirstTouch() ? JSON.stringify(this.getFirstTouch()) : "";
+            case "last_touch":
+                return this.getLastTouch() ? JSON.stringify(this.getLastTouch()) : "";
+            case "referrer":
+                return this.getUserReferrer();
+            default:
+                return this.getUserParams(false)[key] ?? "";
+        }
+    },
+
+    /**
+     * Injects or refreshes the attribution hidden inputs of a form.
+     * Forms can opt in to a subset of fields with data-tg-fields="user_id,utm_source".
+     * Visible inputs using one of the field names are left untouched.
+     * @param {HTMLFormElement} form - The form to update.
+     */
+    injectFormFields: function (form) {
+        let fields = this.getFormFields();
+
+        const subset = form.dataset?.tgFields;
+        if (subset) {
+            const keys = subset.split(",").map((key) => key.trim());
+            fields = Object.fromEntries(Object.entries(fields).filter(([key]) => keys.includes(key)));
+        }
+
+        // Values by input name, plugins can change or add fields
+        const values = {};
+        const keys = {};
+        for (const key in fields) {
+            values[fields[key]] = this.getFormFieldValue(key);
+            keys[fields[key]] = key;
+        }
+
+        const hookedValues = this._runHook("formSubmit", values, form);
+        if (!hookedValues) {
+            return;
+        }
+
+        for (const name in hookedValues) {
+            let input = Array.from(form.elements).find((element) => element.name === name);
+
+            if (input && input.type !== "hidden") {
+                continue;
+            }
+
+            if (!input) {
+                input = document.createElement("input");
+                input.type = "hidden";
+                input.name = name;
+                input.setAttribute("data-tg-field", keys[name] ?? name);
+                form.appendChild(input);
+            }
+
+            input.value = hookedValues[name] ?? "";
+        }
+    },
+
+    //-----------------------------
+    // Consent functions
+    //-----------------------------
+
+    /**
+     * Returns the effective consent of the user.
+     * Everything is granted unless taggerConfig.requireConsent is enabled.
+     * Global Privacy Control and Do Not Track deny analytics and ads, with or without consent mode.
+     * @returns {{storage: boolean, analytics: boolean, ads: boolean}} - The consent state.
+     */
+    getConsent: function () {
+        const privacySignal = this._getOption("honorPrivacySignals") && this.utilHasPrivacySignal();
+        if (!this.getConfig().requireConsent) {
+            return { storage: true, analytics: !privacySignal, ads: !privacySignal };
+        }
+
+        if (this.consent === null) {
+            this.consent = this.getData("consent") ?? {};
+        }
+
+        return {
+            storage: this.consent.storage === true,
+            analytics: this.consent.analytics === true && !privacySignal,
+            ads: this.consent.ads === true && !privacySignal,
+        };
+    },
+
+    /**
+     * Checks if the user consented to a purpose.
+     * @param {string} purpose - One of "storage", "analytics" or "ads".
+     * @returns {boolean} - Returns true if the purpose is granted, false otherwise.
+     */
+    hasConsent: function (purpose) {
+        return this.getConsent()[purpose] === true;
+    },
+
+    /**
+     * Updates the consent choices of the user.
+     * Granting storage flushes the data held in memory, denying it discards the data.
+     * The data stays in memory while storage is neither granted nor denied.
+     * Granting analytics triggers a remote sync.
+     * Triggers the "tagger:consentChanged" event.
+     * @param {{storage?: boolean, analytics?: boolean, ads?: boolean}} consent - The consent choices to update.
+     * @returns {object} - The effective consent state.
+     */
+    setConsent: function (consent = {}) {
+        const previous = this.getConsent();
+
+        const choices = { ...(this.consent ?? {}) };
+        ["storage", "analytics", "ads"].forEach((purpose) => {
+            if (typeof consent?.[purpose] === "boolean") {
+                choices[purpose] = consent[purpose];
+            }
+        });
+        this.consent = choices;
+
+        // The choices themselves are always persisted so they survive page loads
+        this.storeData("consent", choices);
+
+        const current = this.getConsent();
+        if (current.storage && !previous.storage) {
+            this._flushMemoryStore();
+        } else if (consent?.storage === false) {
+            // The data held in memory is only discarded when storage is denied, not while it is pending
+            this.memoryStore = {};
+            if (previous.storage) {
+                this._clearPersistentData();
+            }
+        }
+
+        if (current.analytics && !previous.analytics) {
+            this._syncRemoteData();
+        }
+
+        console.log("[Tagger] Consent updated:", current);
+        this.triggerEvent(window, "tagger:consentChanged", [current]);
+        return current;
+    },
+
+    /**
+     * Writes the data held in memory to the configured storage backends.
+     */
+    _flushMemoryStore: function () {
+        const memory = this._getStorageBackend("memory");
+        const adapters = this._getConfiguredStorageAdapters();
+
+        memory.keys().forEach((key) => {
+            adapters.forEach((adapter) => {
+                if (adapter !== memory) adapter.set(key, memory.get(key));
+            });
+        });
+
+        // Keep the data in memory only if memory is one of the configured backends
+        if (!adapters.includes(memory)) {
+            this.memoryStore = {};
+        }
+    },
+
+    /**
+     * Removes all Tagger data from the configured storage backends, except the consent choices.
+     */
+    _clearPersistentData: function () {
+        const prefix = this.getStoragePrefix();
+        const isTaggerKey = (key) => key.startsWith(prefix) && key !== prefix + "consent";
+
+        this._getConfiguredStorageAdapters().forEach((adapter) => {
+            adapter
+                .keys()
+                .filter(isTaggerKey)
+                .forEach((key) => adapter.remove(key));
+        });
+    },
+
+    //-----------------------------
+    // Storage functions
+    //-----------------------------
+
+    /**
+     * Stores data in the Tagger storage.
+     * @param {string} key - The key to store the data under.
+     * @param {any} value - The data to store.
+     * @returns {any} - The stored data.
+     */
+    storeData: function (key, value) {
+        // We can't store data while a sync operation is in progress
+        if (this.isLocked()) {
+            console.warn("[Tagger] Can't store data while a sync operation is in progress.");
+            return null;
+        }
+
+        return this._writeData(key, value);
+    },
+
+    /**
+     * Writes data to the Tagger storage, even while a sync operation is in progress.
+     * Only for data that remote sync never overwrites.
+     * @param {string} key - The key to store the data under.
+     * @param {any} value - The data to store.
+     * @returns {any} - The stored data.
+     */
+    _writeData: function (key, value) {
+        if (this.plugins.length) {
+            value = this._runHook("storeData", value, key);
+            if (value === false) {
+                return null;
+            }
+        }
+
+        const name = key;
+        key = this.getStoragePrefix() + key;
+        try {
+            // console.log("[Tagger] Storing data for key:", key, value);
+            const json = JSON.stringify(value);
+
+            if (!json) {
+                console.error("[Tagger] Unable to stringify value for key:", key, value);
+                return null;
+            }
+
+            const base64 = btoa(encodeURIComponent(json)); // Safer for UTF-8
+
+            this._getStorageAdapters(key).forEach((adapter) => {
+                adapter.set(key, base64);
+            });
+
+            this._notifyChange(name);
+
+            return value;
+        } catch (e) {
+            console.error("[Tagger] Error storing data: ", e);
+        }
+    },
+
+    /**
+     * Retrieves data from the Tagger storage.
+     * @param {string} key - The key to retrieve the data from.
+     * @returns {any} - The retrieved data.
+     */
+    getData: function (key) {
+        key = this.getStoragePrefix() + key;
+        try {
+            // The first backend holding the key wins
+            let value = null;
+            const missingAdapters = [];
+            for (const adapter of this._getStorageAdapters(key)) {
+                value = adapter.get(key);
+                if (value) break;
+                missingAdapters.push(adapter);
+            }
+
+            // Restore the value in the backends that lost it
+            if (value) {
+                missingAdapters.forEach((adapter) => adapter.set(key, value));
+            }
+
+            if (value) {
+                try {
+                    const json = decodeURIComponent(atob(value));
+                    const parsed = JSON.parse(json);
+
+                    if (parsed && (typeof parsed === "object" || typeof parsed === "string" || typeof parsed === "number")) {
+                        return parsed;
+                    }
+                } catch (e) {
+                    console.warn("[Tagger] Error decoding or parsing data for key:", key, e);
+                }
+            }
+
+            return null; // Explicitly return null if parsing fails
+        } catch (e) {
+            console.error("[Tagger] Error retrieving data for key:", key, e);
+            return null;
+        }
+    },
+
+    /**
+     * Returns the storage backends a key is read from and written to.
+     * @param {string} key - The prefixed storage key.
+     * @returns {Array<object>} - The storage adapters.
+     */
+    _getStorageAdapters: function (key) {
+        // Without storage consent, data is only held in memory
+        if (key !== this.getStoragePrefix() + "consent" && !this.hasConsent("storage")) {
+            return [this._getStorageBackend("memory")];
+        }
+
+        const adapters = this._getConfiguredStorageAdapters();
+        if (!this.LOCAL_ONLY_KEYS.includes(key.slice(this.getStoragePrefix().length))) {
+            return adapters;
+        }
+
+        // Cookie-only setups keep these keys in localStorage
+        const localAdapters = adapters.filter((adapter) => adapter !== this.storageBackends.cookie);
+        return localAdapters.length ? localAdapters : [this._getStorageBackend("localStorage")];
+    },
+
+    /**
+     * Returns the storage backends selected through taggerConfig.storage.
+     * Accepts a "+" separated list of backend names, e.g. "cookie+localStorage",
+     * or an array of backend names and custom adapters.
+     * @returns {Array<object>} - The storage adapters, in read order.
+     */
+    _getConfiguredStorageAdapters: function () {
+        let storage = this._getOption("storage");
+        if (typeof storage === "string") {
+            storage = storage.split("+");
+        }
+
+        const adapters = [];
+        (Array.isArray(storage) ? storage : [storage]).forEach((backend) => {
+            const adapter = typeof backend === "string" ? this._getStorageBackend(backend.trim()) : backend;
+            if (this.utilIsStorageAdapter(adapter)) {
+                adapters.push(adapter);
+            } else if (typeof backend !== "string") {
+                console.warn("[Tagger] Invalid storage adapter:", backend);
+            }
+        });
+
+        // Never run without storage
+        if (!adapters.length) {
+            adapters.push(this._getStorageBackend("memory"));
+        }
+
+        return adapters;
+    },
+
+    /**
+     * Returns a built-in storage backend, creating it on first use.
+     * @param {string} name - One of "cookie", "localStorage", "sessionStorage", "indexedDB" or "memory".
+     * @returns {object|null} - The storage adapter or null if the backend is unknown.
+     */
+    _getStorageBackend: function (name) {
+        if (!(name in this.storageBackends)) {
+            this.storageBackends[name] = this._createStorageBackend(name);
+            if (!this.storageBackends[name]) {
+                console.warn("[Tagger] Unknown storage backend:", name);
+            }
+        }
+        return this.storageBackends[name];
+    },
+
+    /**
+     * Creates a built-in storage backend.
+     * Adapters store string values by key and implement get, set, remove and keys.
+     * They can also implement load, which is awaited on init for asynchronous backends.
+     * @param {string} name - The backend name.
+     * @returns {object|null} - The storage adapter or null if the backend is unknown.
+     */
+    _createStorageBackend: function (name) {
+        switch (name) {
+            case "cookie": {
+                const adapter = {
+                    get: (key) => this.utilGetCookie(key),
+                    set: (key, value) => {
+                        // Browsers drop oversized cookies, so let the other backends keep the value
+                        if (value.length > 3800) {
+                            if (this.utilGetCookie(key) !== null) adapter.remove(key);
+                            return;
+                        }
+                        this.utilSetCookie(key, value, 365);
+                    },
+                    remove: (key) => this.utilSetCookie(key, "", -1),
+                    keys: () =>
+                        document.cookie
+                            .split(";")
+                            .map((cookie) => cookie.split("=")[0].trim())
+                            .filter(Boolean),
+                };
+                return adapter;
+            }
+
+            case "localStorage":
+            case "sessionStorage": {
+                const store = () => window[name];
+                return {
+                    get: (key) => store()?.getItem(key) ?? null,
+                    set: (key, value) => store()?.setItem(key, value),
+                    remove: (key) => store()?.removeItem(key),
+                    keys: () => Object.keys(store() ?? {}),
+                };
+            }
+
+            case "memory":
+                return {
+                    get: (key) => this.memoryStore[key] ?? null,
+                    set: (key, value) => {
+                        this.memoryStore[key] = value;
+                    },
+                    remove: (key) => {
+                        delete this.memoryStore[key];
+                    },
+                    keys: () => Object.keys(this.memoryStore),
+                };
+
+            case "indexedDB":
+                return this._createIndexedDBBackend();
+
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Creates the IndexedDB storage backend.
+     * IndexedDB is asynchronous, so values are served from an in-memory copy
+     * that is loaded on init and written through on every change.
+     * @returns {object} - The storage adapter.
+     */
+    _createIndexedDBBackend: function () {
+        const cache = {};
+        let db = null;
+        let loading = null;
+
+        const withStore = (mode, callback) => {
+            if (!db) return;
+            try {
+                callback(db.transaction("data", mode).objectStore("data"));
+            } catch (e) {
+                console.error("[Tagger] IndexedDB error: ", e);
+            }
+        };
+
+        return {
+            load: () => {
+                if (loading) return loading;
+
+                loading = new Promise((resolve) => {
+                    if (!window.indexedDB) return resolve();
+
+                    const request = window.indexedDB.open(this._getInstanceNamespace() + "tagger", 1);
+                    request.onupgradeneeded = () => request.result.createObjectStore("data");
+                    request.onerror = () => resolve();
+                    request.onsuccess = () => {
+                        db = request.result;
+
+                        // Persist what was written before the database was open
+                        withStore("readwrite", (store) => {
+                            for (const key in cache) store.put(cache[key], key);
+                        });
+
+                        try {
+                            const cursor = db.transaction("data", "readonly").objectStore("data").openCursor();
+                            cursor.onerror = () => resolve();
+                            cursor.onsuccess = () => {
+                                const entry = cursor.result;
+                                if (!entry) return resolve();
+                                if (!(entry.key in cache)) cache[entry.key] = entry.value;
+                                entry.continue();
+                            };
+                        } catch (e) {
+                            console.error("[Tagger] IndexedDB error: ", e);
+                            resolve();
+                        }
+                    };
+                });
+                return loading;
+            },
+            get: (key) => cache[key] ?? null,
+            set: (key, value) => {
+                cache[key] = value;
+                withStore("readwrite", (store) => store.put(value, key));
+            },
+            remove: (key) => {
+                delete cache[key];
+                withStore("readwrite", (store) => store.delete(key));
+            },
+            keys: () => Object.keys(cache),
+        };
+    },
+
+    /**
+     * Loads the asynchronous storage backends.
+     * @returns {Promise<void>}
+     */
+    _loadStorage: async function () {
+        const adapters = this._getConfiguredStorageAdapters().filter((adapter) => typeof adapter.load === "function");
+        await Promise.all(adapters.map((adapter) => adapter.load()));
+    },
+
+    //-----------------------------
+    // Remote Sync functions
+    //-----------------------------
+    /**
+     * Public method to trigger synchronization of Tagger data with the remote endpoint.
+     */
+    sync: async function () {
+        await this._syncRemoteData();
+    },
+
+    /**
+     * Synchronizes Tagger data with a remote endpoint, from the leader tab or a tab with private storage.
+     * Other tabs ask the leader to sync, and a lock shared by all tabs prevents concurrent syncs.
+     * @param {boolean} [forceUpdate=false] - Forces a POST request to update the remote server.
+     * @returns {Promise<void>}
+     */
+    _syncRemoteData: async function (forceUpdate = false) {
+        if (!this.getConfig().remoteSync || !this.getConfig().remoteEndpoint) {
+            return;
+        }
+
+        if (!(await this.isLeaderTab())) {
+            this._broadcast({ type: "syncRequest", forceUpdate });
+            return;
+        }
+
+        const release = await this._acquireSyncLock();
+        if (!release) {
+            console.warn("[Tagger] Sync operation already in progress.");
+            return;
+        }
+
+        try {
+            await this._runRemoteSync(forceUpdate);
+        } finally {
+            release();
+        }
+    },
+
+    /**
+     * Synchronizes Tagger data (userParams, userID, userCreateTime) with a remote endpoint.
+     * @param {boolean} [forceUpdate=false] - Forces a POST request to update the remote server.
+     * @returns {Promise<void>}
+     * * Security Note: The remote server endpoint is responsible for validating the request's
+     * IP source, User Agent, and Referer to prevent abuse or unauthorized data storage.
+     */
+    _runRemoteSync: async function (forceUpdate = false) {
+        const taggerConfig = this.getConfig();
+
+        if (!taggerConfig?.remoteSync || !taggerConfig?.remoteEndpoint) {
+            return;
+        }
+
+        // Nothing leaves the browser without analytics consent
+        if (!this.hasConsent("analytics")) {
+            return;
+        }
+
+        const endpoint = taggerConfig.remoteEndpoint;
+        const syncEmptyParams = this._getOption("remoteSyncEmptyParams");
+
+        // Endpoint should always be HTTPS
+        if (!endpoint?.startsWith("https://")) {
+            console.error("[Tagger] Remote endpoint must be HTTPS.");
+            return;
+        }
+
+        if (this.isLocked()) {
+            console.warn("[Tagger] Sync operation already in progress.");
+            return;
+        } else {
+            this.lock();
+        }
+
+        // A reset or an identify() while waiting for the endpoint releases the lock, the response is then dropped
+        const generation = this.syncGeneration;
+        const isStale = () => {
+            if (generation === this.syncGeneration) return false;
+            console.log("[Tagger] Remote sync ignored, the local state changed.");
+            return true;
+        };
+
+        const localData = this._getSyncableData();
+        const hasLocalData = Object.keys(localData).length >= 2; // We need at least userID and one more data point
+
+        // If remoteSyncEmptyParams is false, we must have at least one data point to sync
+        if (hasLocalData && !syncEmptyParams && !localData?.userParams) {
+            console.info("[Tagger] No user params to sync.");
+            this.unlock();
+            return;
+        }
+
+        try {
+            // Determine sync action
+            let action = hasLocalData && !forceUpdate ? "GET_CHECK" : "GET_FULL";
+            if (hasLocalData && (forceUpdate || this.isLocalDataNewer(localData))) {
+                action = "POST";
+            } else if (hasLocalData && !this.isLocalDataNewer(localData)) {
+                action = "GET_CHECK";
+            }
+
+            // console.log(`[Tagger] Remote sync action: ${action}`);
+
+            // Execute sync action
+            let responseData = null;
+            let finalEndpoint = endpoint;
+
+            if (action === "POST") {
+                // POST: Send local data to remote server
+                const payload = await this._prepareRemotePayload(localData);
+                if (isStale()) return;
+                if (!payload) {
+                    console.log("[Tagger] Remote sync vetoed by a plugin.");
+                    this.unlock();
+                    return;
+                }
+
+                // Queued before sending, so the update survives network errors and page unloads
+                const request = this._enqueueRequest("sync", finalEndpoint, payload);
+                responseData = await this._deliverRequest(request);
+                if (isStale()) return;
+
+                if (responseData) {
+                    if (responseData.updated) {
+                        this.unlock(); // Unlock before applying data
+
+                        // Successfully updated remote, no local change expected unless server returns new data
+                        this.storeData("remoteUpdatedTime", responseData.updatedTime || 0);
+                        console.log("[Tagger] Synced remote data.");
+                    } else {
+                        // Server data was not updated, check if it returned new data
+                        if (responseData.data) {
+                            this.unlock(); // Unlock before applying data
+
+                            // Apply returned data if it's newer
+                            const decodedData = await this._receiveRemoteData(responseData, { nonce: payload.nonce, userID: localData.userID });
+                            if (isStale()) return;
+                            if (decodedData && this.isRemoteDataNewer(decodedData)) {
+                                // Local values kept by the merge go out with the next sync
+                                this._applyRemoteData(decodedData);
+                                console.log("[Tagger] Synced remote data.");
+                            } else if (decodedData) {
+                                // Update local remoteUpdatedTime to avoid re-sending
+                                this.storeData("remoteUpdatedTime", responseData.updatedTime || 0);
+                            }
+                        } else {
+                            console.warn("[Tagger] No remote data available.");
+                        }
+                    }
+                } else {
+                    console.error("[Tagger] Remote sync POST failed, it will be retried.");
+                }
+
+                this.unlock();
+                return;
+            } else {
+                // GET_FULL / GET_CHECK: Retrieve data or check for updates
+                if (action === "GET_CHECK") {
+                    // Check only, include local timestamp
+                    const localUpdatedTime = localData.updatedTime || localData.userParams?.timestamp || 0;
+                    if (localUpdatedTime) {
+                        finalEndpoint = this.utilAppendURLParam(finalEndpoint, "updatedTime", localUpdatedTime);
+                    }
+                }
+
+                // The nonce ties a signed response to this request
+                const nonce = this.utilRandomHex();
+                finalEndpoint = this.utilAppendURLParam(finalEndpoint, "nonce", nonce);
+
+                // A known user proves it owns its ID with the sync key
+                const headers = { "X-Tagger-Protocol": String(this.PROTOCOL_VERSION) };
+                if (localData.userID) {
+                    finalEndpoint = this.utilAppendURLParam(finalEndpoint, "userID", localData.userID);
+                    headers["X-Tagger-Key"] = this._getSyncKey();
+                }
+
+                const userIP = await this.utilGetUserIp();
+                const response = await fetch(this.utilAppendURLParam(finalEndpoint, "ip", userIP), { method: "GET", headers });
+
+                if (isStale()) return;
+                if (response.ok) {
+                    responseData = await response.json();
+
+                    if (responseData.data) {
+                        // Response contains base64 encoded data
+                        const decodedData = await this._receiveRemoteData(responseData, { nonce, userID: localData.userID });
+                        if (isStale()) return;
+                        if (decodedData && this.isRemoteDataNewer(decodedData)) {
+                            this.unlock(); // Unlock before applying data
+                            const needsPush = this._applyRemoteData(decodedData);
+                            console.log("[Tagger] Synced remote data.");
+
+                            // Send back the local values kept by the merge
+                            if (needsPush && !forceUpdate) {
+                                await this._runRemoteSync(true);
+                            }
+                        } else {
+                            console.log("[Tagger] Remote data is not newer or is invalid.");
+                        }
+                    } else if (!responseData.updated) {
+                        // If action was GET_CHECK and local data is newer, re-sync
+                        if (action === "GET_CHECK") {
+                            const localUpdatedTime = localData.updatedTime || localData.userParams?.timestamp || 0;
+                            const remoteUpdatedTime = responseData.updatedTime || 0;
+                            if (localUpdatedTime > remoteUpdatedTime) {
+                                this.unlock(); // Unlock before re-calling
+                                await this._runRemoteSync(true);
+                            }
+                        }
+                    }
+                } else {
+                    console.error("[Tagger] Remote sync GET failed:", response.statusText);
+                }
+            }
+        } catch (error) {
+            console.error("[Tagger] Remote sync communication error: ", error);
+        }
+
+        // console.log("[Tagger] Sync process completed.");
+        if (generation === this.syncGeneration) this.unlock();
+    },
+
+    //-----------------------------
+    // Cross-tab functions
+    //-----------------------------
+
+    /**
+     * Sets up the messaging between the tabs of the site.
+     * Uses a BroadcastChannel, or storage events where it isn't available.
+     * Disabled with taggerConfig.crossTab = false.
+     */
+    _setupCrossTab: function () {
+        if (this.tabID || this._getOption("crossTab") === false) {
+            return;
+        }
+        this.tabID = new Date().getTime().toString(36) + Math.random().toString(36).slice(2, 8);
+        this.leader = false;
+
+        if (typeof BroadcastChannel !== "undefined") {
+            this.broadcastChannel = new BroadcastChannel(this.getStoragePrefix() + "broadcast");
+            this.broadcastChannel.onmessage = (event) => this._onBroadcastMessage(event.data);
+        } else {
+            window.addEventListener("storage", (event) => {
+                if (event.key !== this.getStoragePrefix() + "broadcast" || !event.newValue) return;
+                try {
+                    this._onBroadcastMessage(JSON.parse(event.newValue));
+                } catch (e) {
+                    console.warn("[Tagger] Invalid cross-tab message: ", e);
+                }
+            });
+        }
+
+        this._electLeader();
+    },
+
+    /**
+     * Sends a message to the other tabs.
+     * Without a BroadcastChannel, messages go through localStorage, and are only sent with storage consent.
+     * @param {object} message - The message.
+     */
+    _broadcast: function (message) {
+        if (!this.tabID) {
+            return;
+        }
+
+        message = { ...message, tab: this.tabID };
+        try {
+            if (this.broadcastChannel) {
+                this.broadcastChannel.postMessage(message);
+            } else if (this.hasConsent("storage")) {
+                // The nonce makes every message a change, so a storage event fires
+                localStorage.setItem(this.getStoragePrefix() + "broadcast", JSON.stringify({ ...message, nonce: Math.random() }));
+            }
+        } catch (e) {
+            console.warn("[Tagger] Unable to reach the other tabs: ", e);
+        }
+    },
+
+    /**
+     * Handles a message from another tab.
+     * @param {object} message - The message.
+     */
+    _onBroadcastMessage: function (message) {
+        if (!message || message.tab === this.tabID) {
+            return;
+        }
+
+        if (message.type === "change" && Array.isArray(message.keys)) {
+            this._onExternalChange(message.keys);
+        } else if (message.type === "syncRequest" && this.leader) {
+            this._syncRemoteData(message.forceUpdate === true);
+        } else if (message.type === "outbox" && this.leader) {
+            this._flushOutbox();
+        }
+    },
+
+    /**
+     * Tells the other tabs that a stored key changed.
+     * Changes are batched, so a series of writes sends a single message.
+     * @param {string} key - The unprefixed storage key.
+     */
+    _notifyChange: function (key) {
+        if (!this.tabID || this.applyingExternalChange || key === "outbox") {
+            return;
+        }
+
+        this.pendingChangeKeys.add(key);
+        if (this.pendingChangeKeys.size > 1) {
+            return;
+        }
+
+        setTimeout(() => {
+            const keys = [...this.pendingChangeKeys];
+            this.pendingChangeKeys.clear();
+            this._broadcast({ type: "change", keys });
+        }, 0);
+    },
+
+    /**
+     * Refreshes the global state after another tab changed the stored data.
+     * Triggers the "tagger:externalChange" event.
+     * @param {Array<string>} keys - The changed storage keys.
+     */
+    _onExternalChange: function (keys) {
+        // Reading can write back (e.g. expired params), which must not echo to the other tabs
+        this.applyingExternalChange = true;
+        try {
+            if (keys.includes("consent")) {
+                this.consent = null;
+            }
+
+            this._setUserID(this.getData("userID") ?? this.currentUserID);
+            this._setUserParams(this.getUserParams(false));
+        } finally {
+            this.applyingExternalChange = false;
+        }
+
+        this.triggerEvent(window, "tagger:externalChange", [keys]);
+    },
+
+    /**
+     * Checks if this tab is the one syncing with the remote endpoint.
+     * @returns {Promise<boolean>} - Returns true if this tab is the leader, false otherwise.
+     */
+    isLeaderTab: async function () {
+        if (!this.tabID) {
+            return true;
+        }
+        await this._electLeader();
+        return this._isSyncTab();
+    },
+
+    /**
+     * Checks if this tab syncs its data and delivers its outbox.
+     * Besides the leader, tabs whose data the leader can't read, in memory or sessionStorage, handle their own.
+     * @returns {boolean} - Returns true if this tab syncs, false if it leaves it to the leader.
+     */
+    _isSyncTab: function () {
+        return this.leader || !this._sharesStorageWithLeader();
+    },
+
+    /**
+     * Checks if the user data and the outbox of this tab are stored where the other tabs read them.
+     * Memory and sessionStorage are private to the tab, as is the data held in memory pending storage consent.
+     * @returns {boolean} - Returns true if the storage is shared, false otherwise.
+     */
+    _sharesStorageWithLeader: function () {
+        const isShared = (adapter) => adapter !== this.storageBackends.memory && adapter !== this.storageBackends.sessionStorage;
+        return ["userID", "outbox"].every((key) => this._getStorageAdapters(this.getStoragePrefix() + key).some(isShared));
+    },
+
+    /**
+     * Elects the leader tab.
+     * Uses the Web Locks API, where the lock is held until the tab closes and the next tab in line takes over.
+     * Falls back to a lease in localStorage renewed by the leader, and without storage consent
+     * to leading on its own, as the data of the tab is held in memory anyway.
+     * @returns {Promise<void>} - Resolves once this tab knows if it is the leader.
+     */
+    _electLeader: function () {
+        if (this.leaderElection) {
+            return this.leaderElection;
+        }
+
+        const leaderKey = this.getStoragePrefix() + "leader";
+        this.leaderElection = new Promise((resolve) => {
+            // Held until the tab is closed
+            const holdLock = () => {
+                this._becomeLeader();
+                return new Promise(() => {});
+            };
+
+            if (navigator.locks?.request) {
+                navigator.locks.request(leaderKey, { ifAvailable: true }, (lock) => {
+                    if (lock) {
+                        resolve();
+                        return holdLock();
+                    }
+
+                    // Wait in line to take over when the current leader goes away
+                    this.leader = false;
+                    resolve();
+                    navigator.locks.request(leaderKey, holdLock);
+                });
+                return;
+            }
+
+            const renewLease = () => {
+                if (!this.hasConsent("storage")) {
+                    if (!this.leader) this._becomeLeader();
+                    return;
+                }
+
+                try {
+                    const currentTime = new Date().getTime();
+                    const lease = JSON.parse(localStorage.getItem(leaderKey) ?? "null");
+
+                    if (!lease || lease.tab === this.tabID || lease.expires < currentTime) {
+                        localStorage.setItem(leaderKey, JSON.stringify({ tab: this.tabID, expires: currentTime + 5000 }));
+                        if (!this.leader) this._becomeLeader();
+                    } else {
+                        this.leader = false;
+                    }
+                } catch (e) {
+                    // No shared storage, every tab is on its own
+                    if (!this.leader) this._becomeLeader();
+                }
+            };
+
+            renewLease();
+            setInterval(renewLease, 2000);
+            window.addEventListener("pagehide", () => {
+                if (this.leader && this.hasConsent("storage")) localStorage.removeItem(leaderKey);
+            });
+            resolve();
+        });
+
+        return this.leaderElection;
+    },
+
+    /**
+     * Makes this tab the leader and resumes the delivery of the shared outbox.
+     */
+    _becomeLeader: function () {
+        this.leader = true;
+        console.log("[Tagger] This tab is the sync leader.");
+        this._scheduleOutbox();
+    },
+
+    /**
+     * Acquires the sync lock shared by all tabs.
+     * Uses the Web Locks API, falling back to a lease in localStorage with storage consent.
+     * @returns {Promise<Function|null>} - The function releasing the lock, or null if another sync is in progress.
+     */
+    _acquireSyncLock: async function () {
+        const lockKey = this.getStoragePrefix() + "syncLock";
+        if (navigator.locks?.request) {
+            return new Promise((resolve) => {
+                navigator.locks.request(lockKey, { ifAvailable: true }, (lock) => {
+                    if (!lock) {
+                        resolve(null);
+                        return;
+                    }
+                    // The lock is held until the returned promise settles
+                    return new Promise((release) => resolve(release));
+                });
+            });
+        }
+
+        // Without storage consent, only the in-memory lock applies
+        if (!this.hasConsent("storage")) {
+            return () => {};
+        }
+
+        try {
+            const currentTime = new Date().getTime();
+            const lease = JSON.parse(localStorage.getItem(lockKey) ?? "null");
+            if (lease && lease.expires > currentTime) {
                 return null;
             }
 
-            const base64 = btoa(encodeURIComponent(json)); // Safer for UTF-8
-
-            this.utilSetCookie(key, base64, 365);
-            localStorage.setItem(key, base64);
-
-            return value;
+            // Expires on its own if the tab goes away mid-sync
+            const id = Math.random().toString(36).slice(2);
+            localStorage.setItem(lockKey, JSON.stringify({ id, expires: currentTime + 30000 }));
+            return () => {
+                if (JSON.parse(localStorage.getItem(lockKey) ?? "null")?.id === id) {
+                    localStorage.removeItem(lockKey);
+                }
+            };
         } catch (e) {
-            console.error("[Tagger] Error storing data: ", e);
+            // No shared storage, only the in-memory lock applies
+            return () => {};
         }
     },
 
+    //-----------------------------
+    // Outbox functions
+    //-----------------------------
+
     /**
-     * Retrieves data from the Tagger storage.
-     * @param {string} key - The key to retrieve the data from.
-     * @returns {any} - The retrieved data.
+     * Returns the requests waiting to be delivered to the remote endpoint.
+     * @returns {Array<object>} - The queued requests.
      */
-    getData: function (key) {
-        key = "__tg-" + key;
-        try {
-            let value = this.utilGetCookie(key);
-            if (!value) {
-                value = localStorage.getItem(key);
-                if (value) {
-                    this.utilSetCookie(key, value, 365);
-                }
-            }
+    _getOutbox: function () {
+        const outbox = this.getData("outbox");
+        return Array.isArray(outbox) ? outbox : [];
+    },
 
-            if (value) {
-                try {
-                    const json = decodeURIComponent(atob(value));
-                    const parsed = JSON.parse(json);
+    /**
+     * Persists the queued requests.
+     * The outbox is written even while a sync operation is in progress.
+     * @param {Array<object>} outbox - The queued requests.
+     */
+    _saveOutbox: function (outbox) {
+        // Erasure requests are never dropped to make room
+        const erasures = outbox.filter((request) => request.type === "forget");
+        const others = outbox.filter((request) => request.type !== "forget");
+        this._writeData("outbox", [...erasures, ...others.slice(-Math.max(0, 50 - erasures.length))]);
+    },
 
-                    if (parsed && (typeof parsed === "object" || typeof parsed === "string" || typeof parsed === "number")) {
-                        return parsed;
-                    }
-                } catch (e) {
-                    console.warn("[Tagger] Error decoding or parsing data for key:", key, e);
-                }
-            }
+    /**
+     * Adds a POST request to the persistent outbox.
+     * A "sync" request carries the full local state, so it replaces the queued one.
+     * @param {string} type - The request type, e.g. "sync".
+     * @param {string} url - The endpoint.
+     * @param {object} payload - The JSON payload.
+     * @returns {object} - The queued request.
+     */
+    _enqueueRequest: function (type, url, payload) {
+        const request = {
+            id: new Date().getTime().toString(36) + Math.random().toString(36).slice(2, 8),
+            type,
+            url,
+            body: JSON.stringify(payload),
+            attempts: 0,
+            nextAttempt: new Date().getTime(),
+        };
 
-            return null; // Explicitly return null if parsing fails
-        } catch (e) {
-            console.error("[Tagger] Error retrieving data for key:", key, e);
-            return null;
+        let outbox = this._getOutbox();
+        if (type === "sync") {
+            outbox = outbox.filter((queued) => queued.type !== "sync");
         }
+        outbox.push(request);
+        this._saveOutbox(outbox);
+
+        return request;
     },
 
-    //-----------------------------
-    // Remote Sync functions
-    //-----------------------------
     /**
-     * Public method to trigger synchronization of Tagger data with the remote endpoint.
+     * Removes a request from the outbox.
+     * @param {string} id - The request ID.
      */
-    sync: async function () {
-        await this._syncRemoteData();
+    _dequeueRequest: function (id) {
+        this._saveOutbox(this._getOutbox().filter((queued) => queued.id !== id));
     },
 
     /**
-     * Synchronizes Tagger data (userParams, userID, userCreateTime) with a remote endpoint.
-     * @param {boolean} [forceUpdate=false] - Forces a POST request to update the remote server.
-     * @returns {Promise<void>}
-     * * Security Note: The remote server endpoint is responsible for validating the request's
-     * IP source, User Agent, and Referer to prevent abuse or unauthorized data storage.
+     * Sends a queued request, removing it from the outbox once delivered.
+     * Failed requests are retried with exponential backoff.
+     * @param {object} request - The queued request.
+     * @returns {Promise<object|null>} - The response data or null if the request failed.
      */
-    _syncRemoteData: async function (forceUpdate = false) {
-        const taggerConfig = window?.taggerConfig;
+    _deliverRequest: async function (request) {
+        if (this.deliveringRequests.has(request.id)) {
+            return null;
+        }
+        this.deliveringRequests.add(request.id);
 
-        if (!taggerConfig?.remoteSync || !taggerConfig?.remoteEndpoint) {
+        try {
+            const response = await fetch(request.url, {
+                method: "POST",
+                headers: { "Content-Type": "application/json", "X-Tagger-Protocol": String(this.PROTOCOL_VERSION) },
+                body: request.body,
+            });
+
+            if (!response.ok) {
+                throw new Error(response.statusText || "HTTP " + response.status);
+            }
+
+            const responseData = (await response.json().catch(() => null)) ?? {};
+            if (!this._isRequestAcknowledged(request, responseData)) {
+                throw new Error("Request not acknowledged");
+            }
+
+            this._dequeueRequest(request.id);
+            return responseData;
+        } catch (error) {
+            console.warn("[Tagger] Request delivery failed: ", error);
+            this._retryRequest(request);
+            return null;
+        } finally {
+            this.deliveringRequests.delete(request.id);
+        }
+    },
+
+    /**
+     * Schedules the next attempt of a failed request, or drops it after taggerConfig.maxRetries attempts
+     * (taggerConfig.maxForgetRetries for erasure requests).
+     * Triggers the "tagger:forgetFailed" event when an erasure request is dropped.
+     * @param {object} request - The queued request.
+     */
+    _retryRequest: function (request) {
+        const maxRetries =
+            request.type === "forget" ? this._getOption("maxForgetRetries") : this._getOption("maxRetries");
+        const retryDelay = this._getOption("retryDelay");
+
+        const outbox = this._getOutbox();
+        const queued = outbox.find((item) => item.id === request.id);
+        if (!queued) {
             return;
         }
 
-        const endpoint = taggerConfig.remoteEndpoint;
-        const syncEmptyParams = taggerConfig?.remoteSyncEmptyParams ?? false;
+        queued.attempts++;
 
-        // Endpoint should always be HTTPS
-        if (!endpoint?.startsWith("https://")) {
-            console.error("[Tagger] Remote endpoint must be HTTPS.");
+        if (queued.attempts > maxRetries) {
+            console.warn("[Tagger] Request dropped after too many attempts:", queued.type);
+            this._saveOutbox(outbox.filter((item) => item !== queued));
+            if (queued.type === "forget") {
+                const data = this._decodeRemoteData(JSON.parse(queued.body).data);
+                this.triggerEvent(window, "tagger:forgetFailed", [data?.userID]);
+            }
             return;
         }
 
-        if (this.isLocked()) {
-            console.warn("[Tagger] Sync operation already in progress.");
+        // Exponential backoff, capped at 5 minutes
+        const delay = Math.min(retryDelay * 2 ** (queued.attempts - 1), 300000);
+        queued.nextAttempt = new Date().getTime() + delay;
+        this._saveOutbox(outbox);
+        this._scheduleOutbox();
+    },
+
+    /**
+     * Sets a timer for the next request due in the outbox.
+     */
+    _scheduleOutbox: function () {
+        clearTimeout(this.outboxTimer);
+
+        const outbox = this._getOutbox();
+        if (!outbox.length) {
             return;
-        } else {
-            this.lock();
         }
 
-        const localData = this._getSyncableData();
-        const hasLocalData = Object.keys(localData).length >= 2; // We need at least userID and one more data point
+        const nextAttempt = Math.min(...outbox.map((request) => request.nextAttempt || 0));
+        this.outboxTimer = setTimeout(
+            async () => {
+                await this._flushOutbox();
+            },
+            Math.max(0, nextAttempt - new Date().getTime()),
+        );
+    },
 
-        // If remoteSyncEmptyParams is false, we must have at least one data point to sync
-        if (hasLocalData && !syncEmptyParams && !localData?.userParams) {
-            console.info("[Tagger] No user params to sync.");
-            this.unlock();
+    /**
+     * Sends the requests due in the outbox.
+     * While the browser is offline, requests wait for the "online" event.
+     * @param {boolean} [force=false] - Whether to send every request, even the ones not due yet.
+     * @returns {Promise<void>}
+     */
+    _flushOutbox: async function (force = false) {
+        // The outbox is shared by the tabs, the leader delivers it
+        if (this.outboxFlushing || !this._isSyncTab() || navigator.onLine === false) {
             return;
         }
+        this.outboxFlushing = true;
 
         try {
-            // Determine sync action
-            let action = hasLocalData && !forceUpdate ? "GET_CHECK" : "GET_FULL";
-            if (hasLocalData && (forceUpdate || this.isLocalDataNewer(localData))) {
-                action = "POST";
-            } else if (hasLocalData && !this.isLocalDataNewer(localData)) {
-                action = "GET_CHECK";
+            const currentTime = new Date().getTime();
+            for (const request of this._getOutbox()) {
+                if (!this._canDeliverRequest(request) || this.deliveringRequests.has(request.id)) continue;
+                if (!force && request.nextAttempt > currentTime) continue;
+
+                const responseData = await this._deliverRequest(request);
+                if (responseData) {
+                    this._onRequestDelivered(request, responseData);
+                }
             }
+        } finally {
+            this.outboxFlushing = false;
+        }
 
-            // console.log(`[Tagger] Remote sync action: ${action}`);
+        this._scheduleOutbox();
+    },
 
-            // Execute sync action
-            let responseData = null;
-            let finalEndpoint = endpoint;
+    /**
+     * Handles the response of a request delivered from the outbox.
+     * @param {object} request - The delivered request.
+     * @param {object} responseData - The response data.
+     */
+    _onRequestDelivered: function (request, responseData) {
+        if (request.type === "sync" && responseData.updated) {
+            this.storeData("remoteUpdatedTime", responseData.updatedTime || 0);
+        } else if (request.type === "forget") {
+            const data = this._decodeRemoteData(JSON.parse(request.body).data);
+            console.log("[Tagger] Remote erasure acknowledged:", data?.userID);
+            this.triggerEvent(window, "tagger:forgotten", [data?.userID, responseData]);
+        }
+    },
 
-            if (action === "POST") {
-                // POST: Send local data to remote server
-                const payload = await this._prepareRemotePayload(localData);
-                const response = await fetch(finalEndpoint, {
-                    method: "POST",
-                    headers: { "Content-Type": "application/json" },
-                    body: JSON.stringify(payload),
-                });
+    /**
+     * Checks if a request can be delivered.
+     * Erasure requests don't need analytics consent, as they remove data.
+     * @param {object} request - The queued request.
+     * @returns {boolean} - Returns true if the request can be sent, false otherwise.
+     */
+    _canDeliverRequest: function (request) {
+        return request.type === "forget" || this.hasConsent("analytics");
+    },
 
-                if (response.ok) {
-                    responseData = await response.json();
-                    if (responseData.updated) {
-                        this.unlock(); // Unlock before applying data
+    /**
+     * Checks if the endpoint accepted a request.
+     * Erasure requests must be acknowledged with { "deleted": true }, any successful response accepts the others.
+     * @param {object} request - The queued request.
+     * @param {object} responseData - The response data.
+     * @returns {boolean} - Returns true if the request was accepted, false otherwise.
+     */
+    _isRequestAcknowledged: function (request, responseData) {
+        return request.type !== "forget" || responseData?.deleted === true;
+    },
 
-                        // Successfully updated remote, no local change expected unless server returns new data
-                        this.storeData("remoteUpdatedTime", responseData.updatedTime || 0);
-                        console.log("[Tagger] Synced remote data.");
-                    } else {
-                        // Server data was not updated, check if it returned new data
-                        if (responseData.data) {
-                            this.unlock(); // Unlock before applying data
+    /**
+     * Sends the queued requests when the page is hidden or unloaded.
+     * Uses fetch with keepalive so requests outlive the page, falling back to sendBeacon when it fails.
+     * Each request is sent once per hide and never while it is already being sent.
+     * Requests stay queued until delivered, so they are retried on the next page if lost.
+     */
+    _flushOutboxOnHide: function () {
+        if (!this._isSyncTab()) {
+            return;
+        }
 
-                            // Apply returned data if it's newer
-                            const decodedData = this._decodeRemoteData(responseData.data);
-                            if (decodedData && this.isRemoteDataNewer(decodedData)) {
-                                this._applyRemoteData(decodedData);
-                                console.log("[Tagger] Synced remote data.");
-                            } else {
-                                // Update local remoteUpdatedTime to avoid re-sending
-                                this.storeData("remoteUpdatedTime", responseData.updatedTime || 0);
-                            }
-                        } else {
-                            console.warn("[Tagger] No remote data available.");
-                        }
+        this._getOutbox()
+            .filter((request) => this._canDeliverRequest(request))
+            .filter((request) => !this.deliveringRequests.has(request.id) && !this.hideSentRequests.has(request.id))
+            .forEach((request) => {
+                this.deliveringRequests.add(request.id);
+                this.hideSentRequests.add(request.id);
+
+                const sendBeacon = () => {
+                    // Beacons can't carry headers, the payload holds the protocol version
+                    // Their response is unknown, so erasure requests stay queued
+                    const blob = new Blob([request.body], { type: "text/plain" });
+                    if (navigator.sendBeacon?.(request.url, blob) && request.type !== "forget") {
+                        this._dequeueRequest(request.id);
                     }
-                } else {
-                    console.error("[Tagger] Remote sync POST failed:", response.statusText);
-                }
+                };
 
-                this.unlock();
-                return;
-            } else {
-                // GET_FULL / GET_CHECK: Retrieve data or check for updates
-                if (action === "GET_CHECK") {
-                    // Check only, include local timestamp
-                    const localUpdatedTime = localData.updatedTime || localData.userParams?.timestamp || 0;
-                    if (localUpdatedTime) {
-                        finalEndpoint = this.utilAppendURLParam(finalEndpoint, "updatedTime", localUpdatedTime);
-                    }
+                let sending;
+                try {
+                    sending = fetch(request.url, {
+                        method: "POST",
+                        headers: { "Content-Type": "application/json", "X-Tagger-Protocol": String(this.PROTOCOL_VERSION) },
+                        body: request.body,
+                        keepalive: true,
+                    });
+                } catch (error) {
+                    sending = Promise.reject(error);
                 }
 
-                const userIP = await this.utilGetUserIp();
-                const response = await fetch(this.utilAppendURLParam(finalEndpoint, "ip", userIP), { method: "GET" });
-
-                if (response.ok) {
-                    responseData = await response.json();
-
-                    if (responseData.data) {
-                        // Response contains base64 encoded data
-                        const decodedData = this._decodeRemoteData(responseData.data);
-                        if (decodedData && this.isRemoteDataNewer(decodedData)) {
-                            this.unlock(); // Unlock before applying data
-                            this._applyRemoteData(decodedData);
-                            console.log("[Tagger] Synced remote data.");
-                        } else {
-                            console.log("[Tagger] Remote data is not newer or is invalid.");
-                        }
-                    } else if (!responseData.updated) {
-                        // If action was GET_CHECK and local data is newer, re-sync
-                        if (action === "GET_CHECK") {
-                            const localUpdatedTime = localData.updatedTime || localData.userParams?.timestamp || 0;
-                            const remoteUpdatedTime = responseData.updatedTime || 0;
-                            if (localUpdatedTime > remoteUpdatedTime) {
-                                this.unlock(); // Unlock before re-calling
-                                await this._syncRemoteData(true);
+                sending
+                    .then(
+                        async (response) => {
+                            const responseData = response.ok ? await response.json().catch(() => ({})) : null;
+                            if (responseData && this._isRequestAcknowledged(request, responseData)) {
+                                this._dequeueRequest(request.id);
+                                this._onRequestDelivered(request, responseData);
                             }
-                        }
-                    }
-                } else {
-                    console.error("[Tagger] Remote sync GET failed:", response.statusText);
-                }
-            }
-        } catch (error) {
-            console.error("[Tagger] Remote sync communication error: ", error);
-        }
+                        },
+                        () => sendBeacon(),
+                    )
+                    .catch(() => {})
+                    .finally(() => this.deliveringRequests.delete(request.id));
+            });
+    },
 
-        // console.log("[Tagger] Sync process completed.");
-        this.unlock();
+    /**
+     * Returns the secret key of this device, created on first use.
+     * The endpoint records it with the user ID on the first sync, and requires it for any later request about that ID,
+     * so knowing a user ID is not enough to read, change or erase the data of the user.
+     * Kept out of cookies, and dropped with the rest of the local state on reset.
+     * @returns {string} - The sync key.
+     */
+    _getSyncKey: function () {
+        let syncKey = this.getData("syncKey");
+        if (typeof syncKey !== "string" || !syncKey) {
+            syncKey = this._writeData("syncKey", this.utilRandomHex(32));
+        }
+        return syncKey;
     },
 
     /**
      * Prepares the data to be sent to the remote endpoint.
+     * The payload holds the protocol version, for beacons that can't carry the header,
+     * the sync key proving the device owns the user ID, and a nonce the signature of the response must cover.
      * @param {object} localData - The local Tagger data.
      * @returns {object} - The payload for the remote server.
      */
     _prepareRemotePayload: async function (localData) {
         const userIP = await this.utilGetUserIp();
-        const data = {
+        const data = this._runHook("beforeSync", {
             ...localData,
             userAgent: this.getUserAgent(),
             userReferrer: this.getUserReferrer(),
             userIP,
-        };
+        });
+        if (!data) {
+            return null;
+        }
+
+        return { v: this.PROTOCOL_VERSION, key: this._getSyncKey(), data: this._encodeRemoteData(data), nonce: this.utilRandomHex() };
+    },
 
+    /**
+     * Encodes data for the remote endpoint as base64 JSON.
+     * @param {object} data - The data.
+     * @returns {string} - The base64 encoded data.
+     */
+    _encodeRemoteData: function (data) {
         const json = JSON.stringify(data);
 
         // Convert the string to UTF-8 bytes
@@ -639,7 +3695,35 @@ const tagger = {
             binary += String.fromCharCode(bytes[i]);
         }
 
-        return { data: btoa(binary) };
+        return btoa(binary);
+    },
+
+    /**
+     * Queues a request of a given type for the remote endpoint, delivered through the outbox.
+     * The payload is { v, type, key, data }, with data encoded like the synced data.
+     * Requires remote sync, or an endpoint, and analytics consent.
+     * @param {string} type - The request type, e.g. "alias".
+     * @param {object} data - The request data.
+     * @param {object} [options={}] - The endpoint (default: the remote endpoint),
+     * whether to deliver it right away (deliver, default: true) and the sync key (key, default: the one of this device).
+     * @returns {object|null} - The queued request, or null if nothing is sent.
+     */
+    _sendRemoteRequest: function (type, data, options = {}) {
+        const endpoint = options.endpoint ?? (this.getConfig().remoteSync ? this.getConfig().remoteEndpoint : null);
+        if (!endpoint || !this._canDeliverRequest({ type })) {
+            return null;
+        }
+
+        const key = options.key ?? this._getSyncKey();
+        const request = this._enqueueRequest(type, endpoint, { v: this.PROTOCOL_VERSION, type, key, data: this._encodeRemoteData(data) });
+
+        // The outbox is shared, the leader tab delivers it
+        if (this._isSyncTab()) {
+            if (options.deliver ?? true) this._flushOutbox();
+        } else {
+            this._broadcast({ type: "outbox" });
+        }
+        return request;
     },
 
     /**
@@ -650,15 +3734,37 @@ const tagger = {
         const data = {};
         const userID = this.getData("userID");
         const userParams = this.getData("userParams");
+        const userParamsMeta = this.getData("userParamsMeta");
         const userCreateTime = this.getData("userCreateTime");
         const updatedTime = this.getData("updatedTime");
+        const firstTouch = this.getFirstTouch();
+        const lastTouch = this.getLastTouch();
+        const touchpoints = this.getTouchpoints();
 
         // userReferrer and userAgent are handled separately during sync send
 
         if (userID) data.userID = userID;
-        if (userParams) data.userParams = userParams;
+        if (userParams) {
+            // Expired params must never reach the remote endpoint
+            data.userParams = { ...userParams };
+            data.userParamsMeta = { ...userParamsMeta };
+            this._pruneExpiredParams(data.userParams, data.userParamsMeta);
+        }
         if (userCreateTime) data.userCreateTime = userCreateTime;
         if (updatedTime) data.updatedTime = updatedTime;
+        if (firstTouch) data.firstTouch = firstTouch;
+        if (lastTouch) data.lastTouch = lastTouch;
+        if (touchpoints.length) data.touchpoints = touchpoints;
+
+        const session = this.getSession();
+        if (session) data.session = session;
+
+        const identity = this.getIdentity();
+        if (identity.externalID) {
+            data.externalID = identity.externalID;
+            data.aliases = identity.aliases;
+            data.traits = identity.traits;
+        }
 
         // console.log("[Tagger] Syncable data:", data);
 
@@ -696,7 +3802,7 @@ const tagger = {
      */
     _decodeRemoteData: function (base64Data) {
         try {
-            const json = atob(base64Data);
+            const json = new TextDecoder().decode(this.utilBase64ToBytes(base64Data));
             return JSON.parse(json);
         } catch (e) {
             console.error("[Tagger] Error decoding or parsing remote data: ", e);
@@ -704,25 +3810,164 @@ const tagger = {
         }
     },
 
+    /**
+     * Verifies, decodes and validates the data of a remote endpoint response.
+     * When taggerConfig.syncVerification is set, the response must carry a valid signature of its data,
+     * bound to the request by its nonce and user ID, and issued less than SIGNATURE_MAX_AGE ago.
+     * Triggers the "tagger:syncRejected" event when the data is rejected.
+     * @param {object} responseData - The response of the remote endpoint.
+     * @param {{nonce: string, userID?: string}} request - The nonce and user ID sent with the request.
+     * @returns {Promise<object|null>} - The validated data or null if rejected.
+     */
+    _receiveRemoteData: async function (responseData, request) {
+        const reject = (reason) => {
+            console.error("[Tagger] Remote data rejected:", reason);
+            this.triggerEvent(window, "tagger:syncRejected", [reason]);
+            return null;
+        };
+
+        if (typeof responseData?.data !== "string") {
+            return reject("Missing data");
+        }
+
+        if (this.getConfig().syncVerification) {
+            // A replayed response, or one issued for another request, doesn't verify
+            const { signature, issuedAt } = responseData;
+            const message = [request.nonce, request.userID ?? "", issuedAt, responseData.data].join(".");
+            if (typeof signature !== "string" || !(await this._verifySignature(message, signature))) {
+                return reject("Invalid signature");
+            }
+            if (typeof issuedAt !== "number" || Math.abs(new Date().getTime() - issuedAt) > this.SIGNATURE_MAX_AGE) {
+                return reject("Expired signature");
+            }
+        }
+
+        const decodedData = this._decodeRemoteData(responseData.data);
+        if (!decodedData) {
+            return reject("Invalid encoding");
+        }
+
+        const { data, error } = this._validateRemoteData(decodedData);
+        return error ? reject(error) : data;
+    },
+
+    /**
+     * Verifies the signature of the remote data with the key from taggerConfig.syncVerification.
+     * Supports { algorithm: "Ed25519", key: base64 raw public key }, as the key is public.
+     * @param {string} message - The signed message: the request nonce, the request user ID,
+     * the issue time of the response and its base64 data, joined by dots.
+     * @param {string} signature - The base64 signature.
+     * @returns {Promise<boolean>} - Returns true if the signature is valid, false otherwise.
+     */
+    _verifySignature: async function (message, signature) {
+        const verification = this.getConfig().syncVerification;
+        const algorithm = verification?.algorithm ?? "Ed25519";
+
+        // A shared secret, e.g. for HMAC, would be published to every visitor through the config
+        if (algorithm !== "Ed25519") {
+            console.error("[Tagger] Unsupported sync verification algorithm:", algorithm);
+            return false;
+        }
+
+        try {
+            const keyBytes = this.utilBase64ToBytes(verification.key);
+            const signatureBytes = this.utilBase64ToBytes(signature);
+            const messageBytes = new TextEncoder().encode(message);
+
+            const key = await crypto.subtle.importKey("raw", keyBytes, { name: "Ed25519" }, false, ["verify"]);
+            return await crypto.subtle.verify({ name: "Ed25519" }, key, signatureBytes, messageBytes);
+        } catch (e) {
+            console.error("[Tagger] Error verifying remote data signature: ", e);
+        }
+        return false;
+    },
+
+    /**
+     * Validates the decoded remote data against SYNC_SCHEMA.
+     * @param {object} data - The decoded remote data.
+     * @returns {{data: object|null, error: string|null}} - The data limited to the schema fields, or the validation error.
+     */
+    _validateRemoteData: function (data) {
+        if (!data || typeof data !== "object" || Array.isArray(data)) {
+            return { data: null, error: "Data is not an object" };
+        }
+
+        const validData = {};
+        for (const field in this.SYNC_SCHEMA) {
+            if (data[field] === undefined || data[field] === null) continue;
+
+            const type = this.SYNC_SCHEMA[field];
+            const value = data[field];
+            const isValid = type === "array" ? Array.isArray(value) : typeof value === type && !Array.isArray(value);
+
+            if (!isValid) {
+                return { data: null, error: `Invalid type for ${field}, expected ${type}` };
+            }
+            validData[field] = value;
+        }
+
+        if (validData.userID !== undefined && !/^[\w.:-]{1,128}$/.test(validData.userID)) {
+            return { data: null, error: "Invalid userID" };
+        }
+        for (const key in validData.userParams ?? {}) {
+            if (typeof validData.userParams[key] !== "string") {
+                return { data: null, error: `Invalid value for userParams.${key}` };
+            }
+        }
+
+        return { data: validData, error: null };
+    },
+
     /**
      * Applies the received remote data to local Tagger storage.
+     * The user params are merged field by field with the local ones, see _mergeUserParams.
      * @param {object} data - The decoded data from the remote server.
+     * @returns {boolean} - True if local params won over the remote ones and must be sent back, false otherwise.
      */
-    _applyRemoteData: function (data, by) {
+    _applyRemoteData: function (data) {
         if (this.isLocked()) {
             console.warn("[Tagger] Sync operation already in progress.");
-            return;
+            return false;
+        }
+
+        data = this._runHook("afterSync", data);
+        if (!data) {
+            console.log("[Tagger] Remote data vetoed by a plugin.");
+            return false;
         }
 
+        let needsPush = false;
         if (data.userID) {
+            this._aliasReplacedUserID(data.userID);
             this.storeData("userID", data.userID);
-            window.taggerUserID = data.userID; // Update global scope
+            this._setUserID(data.userID);
+        }
+        if (data.externalID) {
+            // The graph of another known user replaces the local one
+            const isSameUser = this.getData("externalID") === data.externalID;
+            const aliases = isSameUser ? (this.getData("aliases") ?? []) : [];
+            (data.aliases ?? []).forEach((alias) => {
+                if (typeof alias?.id === "string") this._addAlias(aliases, alias.id, alias.time);
+            });
+
+            this.storeData("externalID", data.externalID);
+            this.storeData("aliases", aliases);
+            this.storeData("traits", this._mergeTraits(isSameUser ? (this.getData("traits") ?? {}) : {}, data.traits));
         }
         if (data.userParams) {
-            // Merge with existing params to preserve any non-synced data if needed, but for simplicity, overwrite
-            this.storeData("userParams", data.userParams);
-            window.taggerUserParams = data.userParams; // Update global scope
+            const merged = this._mergeUserParams(data);
+            this.storeData("userParams", merged.params);
+            this.storeData("userParamsMeta", merged.meta);
+            this._setUserParams(merged.params);
+            needsPush = merged.needsPush;
+
+            if (merged.conflicts.length) {
+                this.triggerEvent(window, "tagger:syncConflict", [merged.conflicts]);
+            }
         }
+        if (data.firstTouch) this.storeData("firstTouch", data.firstTouch);
+        if (data.lastTouch) this.storeData("lastTouch", data.lastTouch);
+        if (Array.isArray(data.touchpoints)) this.storeData("touchpoints", data.touchpoints);
         if (data.userCreateTime) this.storeData("userCreateTime", data.userCreateTime);
         if (data.updatedTime) this.storeData("updatedTime", data.updatedTime); // Store the remote updated time
         if (data.updatedTime) this.storeData("remoteUpdatedTime", data.updatedTime); // Store the remote updated time
@@ -730,8 +3975,109 @@ const tagger = {
         // userReferrer can also be received
         if (data.userReferrer) this.storeData("userReferrer", data.userReferrer);
 
+        // The local values kept make the local data newer, so they reach the remote endpoint
+        if (needsPush) this.storeData("updatedTime", new Date().getTime());
+
         // console.log("[Tagger] Remote data applied.");
         this.triggerEvent(window, "tagger:remoteSyncApplied");
+        return needsPush;
+    },
+
+    /**
+     * Merges the remote user params with the local ones, field by field.
+     * Each param is compared through its entry { value, time, origin }, where a removed param has deleted: true.
+     * Params stored on one side only are kept, and differing values are resolved by resolveParamConflict.
+     * @param {object} data - The decoded data from the remote server.
+     * @returns {{params: object, meta: object, conflicts: Array<object>, needsPush: boolean}} - The merged params,
+     * their meta, the resolved conflicts and whether local values were kept over the remote ones.
+     */
+    _mergeUserParams: function (data) {
+        const localParams = { ...(this.getData("userParams") ?? {}) };
+        const localMeta = { ...(this.getData("userParamsMeta") ?? {}) };
+        const remoteParams = { ...data.userParams };
+        const remoteMeta = {};
+
+        // Servers that don't store the meta get the time of their last update
+        for (const key in remoteParams) {
+            remoteMeta[key] = { time: data.updatedTime || 0, origin: "remote" };
+        }
+        for (const key in data.userParamsMeta ?? {}) {
+            const meta = data.userParamsMeta[key];
+            if (meta && typeof meta === "object" && typeof meta.time === "number") {
+                remoteMeta[key] = { ...meta };
+            }
+        }
+
+        this._pruneExpiredParams(localParams, localMeta);
+        this._pruneExpiredParams(remoteParams, remoteMeta);
+
+        const getEntry = (params, meta, key) => {
+            if (key in params) return { value: params[key], ...meta[key], deleted: false };
+            if (meta[key]?.deleted) return { value: null, ...meta[key] };
+            return null;
+        };
+
+        const params = {};
+        const meta = {};
+        const conflicts = [];
+        let needsPush = false;
+        const keys = new Set([...Object.keys(localParams), ...Object.keys(localMeta), ...Object.keys(remoteParams), ...Object.keys(remoteMeta)]);
+
+        keys.forEach((key) => {
+            const local = getEntry(localParams, localMeta, key);
+            const remote = getEntry(remoteParams, remoteMeta, key);
+            let kept = remote ?? local;
+
+            if (local && remote && (local.value !== remote.value || local.deleted !== remote.deleted)) {
+                kept = this.resolveParamConflict(key, local, remote);
+                if (kept !== local && kept !== remote) {
+                    // A custom resolver can return a new entry
+                    kept = { time: new Date().getTime(), origin: "resolver", ...kept, deleted: kept.deleted === true };
+                }
+                conflicts.push({ param: key, kept, discarded: [local, remote].filter((entry) => entry !== kept) });
+            }
+
+            if (!kept) return;
+            if (kept !== remote) needsPush = true;
+
+            const { value, deleted, ...entryMeta } = kept;
+            meta[key] = deleted ? { ...entryMeta, deleted: true } : entryMeta;
+            if (!deleted) params[key] = this.utilSanitizeString(value);
+        });
+
+        return { params, meta, conflicts, needsPush };
+    },
+
+    /**
+     * Picks the entry to keep when the local and remote values of a param differ.
+     * The policy is set with taggerConfig.mergePolicy: "last-write-wins" (default), "first-write-wins",
+     * or a function (param, local, remote) returning the entry to keep.
+     * @param {string} param - The parameter name.
+     * @param {object} local - The local entry { value, time, origin, deleted }.
+     * @param {object} remote - The remote entry { value, time, origin, deleted }.
+     * @returns {object} - The entry to keep.
+     */
+    resolveParamConflict: function (param, local, remote) {
+        const policy = this._getOption("mergePolicy");
+
+        if (typeof policy === "function") {
+            try {
+                const kept = policy(param, local, remote);
+                if (kept === local || kept === remote || kept?.deleted === true || typeof kept?.value === "string") {
+                    return kept;
+                }
+                console.warn("[Tagger] Invalid entry returned by the merge policy for", param);
+            } catch (e) {
+                console.error("[Tagger] Error in merge policy: ", e);
+            }
+        } else if (policy === "first-write-wins") {
+            return local.time < remote.time ? local : remote;
+        } else if (policy !== "last-write-wins") {
+            console.warn("[Tagger] Unknown merge policy:", policy);
+        }
+
+        // On equal times, the remote endpoint is the reference
+        return local.time > remote.time ? local : remote;
     },
     /**
      * Checks if the Tagger storage is currently locked for sync operations.
@@ -818,47 +4164,81 @@ const tagger = {
     /**
      * Performs URL parameter swapping for elements with the class ".tg-swap-href".
      * Swaps the href of the element with the current URL and appends the userID.
+     * With taggerConfig.decorate.auto, every link matching a decoration rule is swapped as well.
+     * @param {Element|Document} [root=document] - The element to look for links in.
      */
-    doParamsSwap: function () {
+    doParamsSwap: function (root = document) {
         const that = this;
 
         // .tg-swap-child-href
-        const childLinks = document.querySelectorAll(".tg-swap-child-href>a");
+        const childLinks = that.utilQueryAll(root, ".tg-swap-child-href>a");
         childLinks.forEach((link) => {
             link.classList.add("tg-swap-href");
         });
 
         // .tg-swap-href
         // Swap the href of the element with the current URL and append the userID
-        const swapLinks = document.querySelectorAll(".tg-swap-href");
+        const swapLinks = new Set(that.utilQueryAll(root, ".tg-swap-href"));
+
+        // Links matching a decoration rule don't need the class
+        if (that.getDecorateConfig()?.auto) {
+            that.utilQueryAll(root, "a[href]").forEach((link) => {
+                if (that._getDecorateRule(link.getAttribute("href"))) {
+                    swapLinks.add(link);
+                }
+            });
+        }
 
+        const doneClass = that._getInstanceNamespace() + "tg-swap-href-done";
         for (const el of swapLinks) {
-            if (el.classList.contains("tg-swap-href-done")) {
+            if (el.classList.contains(doneClass)) {
                 continue;
             }
 
             let href = el.getAttribute("href");
-            let newHref = that.utilMoveURLParamsToNewURL(href);
+            let newHref = that._runHook("decorateLink", that.decorateURL(href), el);
+
+            // A plugin vetoed the decoration, the link is left as is
+            el.classList.add(doneClass);
+            if (!newHref) {
+                continue;
+            }
 
             // Sanitize the URL
             newHref = that.utilSanitizeURL(newHref);
 
             el.setAttribute("href", newHref);
-            el.classList.add("tg-swap-href-done");
         }
     },
     /**
      * Reloads the Tagger module.
      * Binds events and performs parameter swapping.
+     * Safe to call repeatedly, events are only bound once.
      * Triggers the "tagger:reload" event.
      * @returns {Promise<void>}
      */
     reload: async function () {
         this._bindEvents();
+        this._scanDOM();
+        this._observeDOM();
 
         console.log("[Tagger] Reloaded");
         this.triggerEvent(window, "tagger:reload");
-        window.taggerReady = true;
+        this._setReady();
+    },
+
+    /**
+     * Returns the elements matching a selector within a root, including the root itself.
+     * @param {Element|Document} root - The element to search in.
+     * @param {string} selector - The CSS selector.
+     * @returns {Array<Element>} - The matching elements.
+     */
+    utilQueryAll: function (root, selector) {
+        const elements = Array.from(root.querySelectorAll(selector));
+        if (root.matches?.(selector)) {
+            elements.unshift(root);
+        }
+        return elements;
     },
 
     /**
@@ -879,6 +4259,123 @@ const tagger = {
         }
     },
 
+    /**
+     * Returns the link decoration settings from taggerConfig.decorate.
+     * Accepts { auto, rules } or the list of rules alone.
+     * @returns {{auto: boolean, rules: Array<object>}|null} - The settings or null if no rules are configured.
+     */
+    getDecorateConfig: function () {
+        const decorate = this.getConfig().decorate;
+        if (!decorate) {
+            return null;
+        }
+
+        const rules = Array.isArray(decorate) ? decorate : (decorate.rules ?? []);
+        return {
+            auto: decorate.auto === true,
+            rules: rules.filter((rule) => rule?.match),
+        };
+    },
+
+    /**
+     * Returns the decoration rule matching the destination of a URL.
+     * Rules are checked in order, and a matching rule with exclude: true denies the decoration.
+     * @param {string} url - The destination URL.
+     * @returns {object|null} - The matching rule or null if the URL must not be decorated.
+     */
+    _getDecorateRule: function (url) {
+        const decorate = this.getDecorateConfig();
+        if (!decorate || !url || url === "#") {
+            return null;
+        }
+
+        try {
+            const destination = new URL(url, window.location.href);
+            if (!["http:", "https:"].includes(destination.protocol)) {
+                return null;
+            }
+
+            const matches = (rule) => [].concat(rule.match).some((pattern) => this.utilMatchHostname(destination.hostname, pattern));
+            const rule = decorate.rules.find(matches);
+            return rule && !rule.exclude ? rule : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Decorates a URL with the attribution data allowed for its destination.
+     * Without taggerConfig.decorate, every current query param and the userID are appended.
+     * With it, only the URLs matching a rule are decorated, forwarding what the rule allows:
+     * - userParams: the stored user params (true or a list of keys), default true
+     * - query: the current query params (true or a list of keys), default false
+     * - userID: the userID and the linker token, default true
+     * @param {string} url - The URL to decorate.
+     * @returns {string} - The decorated URL, or the same URL if it must not be decorated.
+     */
+    decorateURL: function (url) {
+        if (!this.getDecorateConfig()) {
+            return this.utilMoveURLParamsToNewURL(url);
+        }
+
+        const rule = this._getDecorateRule(url);
+        if (!rule) {
+            return url;
+        }
+
+        try {
+            const forward = { userParams: true, query: false, userID: true, ...(rule.forward ?? {}) };
+            const isAllowed = (option, key) => option === true || (Array.isArray(option) && option.includes(key));
+            const linker = this.getLinkerConfig();
+            const newURL = new URL(url, window.location.href);
+
+            // Values already in the destination URL are kept
+            const append = (key, value) => {
+                if (value && !newURL.searchParams.has(key)) {
+                    newURL.searchParams.append(key, value);
+                }
+            };
+
+            if (forward.userParams) {
+                const userParams = this._getForwardableParams();
+                for (const key in userParams) {
+                    if (isAllowed(forward.userParams, key)) append(key, userParams[key]);
+                }
+            }
+
+            if (forward.query) {
+                new URLSearchParams(window.location.search).forEach((value, key) => {
+                    if (key === "user_id" || key === linker?.param) return;
+                    if (isAllowed(forward.query, key)) append(key, value);
+                });
+            }
+
+            if (forward.userID) {
+                append("user_id", this.getUserID());
+                if (linker) append(linker.param, this.createLinkerToken());
+            }
+
+            return newURL.href;
+        } catch (error) {
+            console.error("[Tagger] Error decorating URL: ", error);
+            return url;
+        }
+    },
+
+    /**
+     * Returns the user params that can be forwarded to another domain.
+     * Params derived from the referrer are left out, the destination would take them for campaign params.
+     * @returns {object} - The user parameters.
+     */
+    _getForwardableParams: function () {
+        const userParams = { ...this.getUserParams(false) };
+        const paramsMeta = this.getData("userParamsMeta") ?? {};
+        for (const key in userParams) {
+            if (paramsMeta[key]?.origin === "referrer") delete userParams[key];
+        }
+        return userParams;
+    },
+
     /**
      * Add the current URL parameters to the specified URL and appends the userID.
      * @param {string} url - The URL to move the parameters from.
@@ -892,14 +4389,22 @@ const tagger = {
             let params = new URLSearchParams(window.location.search);
             let newURL = new URL(url, window.location.href);
 
+            const linker = this.getLinkerConfig();
+
             params.forEach((value, key) => {
-                if (key === "user_id") return;
+                if (key === "user_id" || key === linker?.param) return;
                 newURL.searchParams.append(key, value);
             });
 
             if (appendUserID) {
                 let userID = this.getUserID();
                 newURL.searchParams.append("user_id", userID);
+
+                // The linker token lets the destination adopt the identity
+                const token = linker ? this.createLinkerToken() : null;
+                if (token) {
+                    newURL.searchParams.append(linker.param, token);
+                }
             }
             return newURL.href;
         } catch (error) {
@@ -920,19 +4425,24 @@ const tagger = {
 
     /**
      * Retrieves the user's IP address.
-     * Try multiple services for redundancy.
+     * Uses the endpoint set in taggerConfig.ipProvider, answering with { "ip": "..." } or the plain IP,
+     * or tries multiple third-party services for redundancy. Set ipProvider to false to never look it up.
      * @param {boolean} [forceIPv4=true] - Whether to force IPv4 retrieval.
      * @returns {Promise<string>} - The user's IP address.
      */
     utilGetUserIp: async function (forceIPv4 = false) {
-        forceIPv4 = forceIPv4 ? true : (window?.taggerConfig?.forceIPv4 ?? false);
+        forceIPv4 = forceIPv4 ? true : this._getOption("forceIPv4");
+        const ipProvider = this.getConfig().ipProvider;
+
+        // IP services are only called with analytics consent
+        if (ipProvider === false || !this.hasConsent("analytics")) return "unknown";
 
         if (this.cachedIP) return this.cachedIP;
 
         // Try to get it from the storage first
         let storedIP = this.getData("userIP");
         let ipUpdatedTime = this.getData("userIPUpdatedTime") || 0;
-        const ipCacheDuration = window?.taggerConfig?.ipCacheDuration ?? 86400000; // Default 24 hours
+        const ipCacheDuration = this._getOption("ipCacheDuration");
 
         if (storedIP && this.utilValidateIp(storedIP) && Date.now() - ipUpdatedTime < ipCacheDuration) {
             this.cachedIP = storedIP;
@@ -949,6 +4459,31 @@ const tagger = {
             }, 1000);
         };
 
+        if (typeof ipProvider === "string" && ipProvider) {
+            try {
+                const response = await fetch(ipProvider, { credentials: "same-origin" });
+                if (response.ok) {
+                    const text = (await response.text()).trim();
+                    let ip = text;
+                    try {
+                        ip = JSON.parse(text)?.ip ?? text;
+                    } catch (e) {
+                        // Plain text answer
+                    }
+
+                    if (this.utilValidateIp(ip)) {
+                        updateCachedIP(ip);
+                        return ip;
+                    }
+                }
+            } catch (error) {
+                console.error("[Tagger] Error retrieving user ip: ", error);
+            }
+
+            // The third-party services are never called when a provider is set
+            return "unknown";
+        }
+
         try {
             const url = forceIPv4 ? "https://api4.ipify.org/?format=json" : "https://api.ipify.org?format=json";
             // Try with IPify first
@@ -991,6 +4526,138 @@ const tagger = {
         }
     },
 
+    /**
+     * Derives the utm_source and utm_medium of a visit from its referrer.
+     * Rules from taggerConfig.referrerRules are checked before the built-in ones.
+     * @param {string} referrer - The referrer URL.
+     * @returns {{utm_source: string, utm_medium: string}|null} - The derived params, or null for internal navigation.
+     */
+    utilClassifyReferrer: function (referrer) {
+        if (!referrer) {
+            return { utm_source: "(direct)", utm_medium: "(none)" };
+        }
+
+        let hostname;
+        try {
+            hostname = new URL(referrer).hostname.toLowerCase().replace(/^www\./, "");
+        } catch (e) {
+            return null;
+        }
+
+        // Navigation within the site is not a new source
+        const currentDomain = this.utilGetCurrentDomain();
+        if (hostname === currentDomain || hostname.endsWith("." + currentDomain)) {
+            return null;
+        }
+
+        const rules = [...(this.getConfig().referrerRules ?? []), ...this.REFERRER_RULES];
+        const rule = rules.find((rule) => this.utilMatchHostname(hostname, rule?.match));
+
+        return {
+            utm_source: rule?.source ?? hostname,
+            utm_medium: rule?.medium ?? "referral",
+        };
+    },
+
+    /**
+     * Checks if a hostname matches a domain pattern.
+     * "example.com" and "*.example.com" match the domain and its subdomains,
+     * a single label like "google" matches any hostname containing it (google.com, google.co.uk),
+     * and a RegExp is tested against the hostname.
+     * @param {string} hostname - The hostname to check.
+     * @param {string|RegExp} pattern - The domain pattern.
+     * @returns {boolean} - Returns true if the hostname matches, false otherwise.
+     */
+    utilMatchHostname: function (hostname, pattern) {
+        if (typeof pattern?.test === "function") {
+            return pattern.test(hostname);
+        }
+        if (typeof pattern !== "string" || !pattern) {
+            return false;
+        }
+
+        hostname = hostname.toLowerCase();
+        pattern = pattern.toLowerCase().replace(/^\*\./, "");
+
+        if (!pattern.includes(".")) {
+            return hostname.split(".").includes(pattern);
+        }
+        return hostname === pattern || hostname.endsWith("." + pattern);
+    },
+
+    /**
+     * Generates a random hex string with crypto.getRandomValues.
+     * @param {number} [bytes=16] - The number of random bytes.
+     * @returns {string} - The hex string.
+     */
+    utilRandomHex: function (bytes = 16) {
+        return Array.from(crypto.getRandomValues(new Uint8Array(bytes)), (byte) => byte.toString(16).padStart(2, "0")).join("");
+    },
+
+    /**
+     * Computes a short, non-cryptographic hash (FNV-1a) of a string.
+     * @param {string} str - The string to hash.
+     * @returns {string} - The hash, in base 36.
+     */
+    utilHash: function (str) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(36);
+    },
+
+    /**
+     * Encodes a UTF-8 string as URL-safe base64, without padding.
+     * @param {string} str - The string to encode.
+     * @returns {string} - The encoded string.
+     */
+    utilBase64URLEncode: function (str) {
+        const bytes = new TextEncoder().encode(str);
+        let binary = "";
+        for (let i = 0; i < bytes.byteLength; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+    },
+
+    /**
+     * Decodes a URL-safe base64 string into a UTF-8 string.
+     * @param {string} str - The string to decode.
+     * @returns {string} - The decoded string.
+     */
+    utilBase64URLDecode: function (str) {
+        return new TextDecoder().decode(this.utilBase64ToBytes(str));
+    },
+
+    /**
+     * Decodes a base64 or URL-safe base64 string into bytes.
+     * @param {string} str - The string to decode.
+     * @returns {Uint8Array} - The decoded bytes.
+     */
+    utilBase64ToBytes: function (str) {
+        const binary = atob(str.replace(/-/g, "+").replace(/_/g, "/"));
+        return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    },
+
+    /**
+     * Checks if an object implements the storage adapter interface.
+     * @param {any} adapter - The object to check.
+     * @returns {boolean} - Returns true if the object is a storage adapter, false otherwise.
+     */
+    utilIsStorageAdapter: function (adapter) {
+        return ["get", "set", "remove", "keys"].every((method) => typeof adapter?.[method] === "function");
+    },
+
+    /**
+     * Detects if the browser sends a Global Privacy Control or Do Not Track signal.
+     * @returns {boolean} - Returns true if a privacy signal is present, false otherwise.
+     */
+    utilHasPrivacySignal: function () {
+        return navigator.globalPrivacyControl === true || navigator.doNotTrack === "1" || window.doNotTrack === "1";
+    },
+
     /**
      * Validates an IP address.
      * @param {string} ip - The IP address to validate.
@@ -1013,6 +4680,64 @@ const tagger = {
         return botKeywords.some((keyword) => userAgent.includes(keyword));
     },
 
+    /**
+     * Generates a random UUID (version 4).
+     * @returns {string} - The UUID.
+     */
+    utilUUIDv4: function () {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        bytes[6] = (bytes[6] & 0x0f) | 0x40; // Version 4
+        bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+        return this.utilFormatUUID(bytes);
+    },
+
+    /**
+     * Generates a time-ordered UUID (version 7): 48 bits of milliseconds, then random bits.
+     * @returns {string} - The UUID.
+     */
+    utilUUIDv7: function () {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        let time = new Date().getTime();
+        for (let i = 5; i >= 0; i--) {
+            bytes[i] = time % 256;
+            time = Math.floor(time / 256);
+        }
+        bytes[6] = (bytes[6] & 0x0f) | 0x70; // Version 7
+        bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+        return this.utilFormatUUID(bytes);
+    },
+
+    /**
+     * Formats 16 bytes as a UUID string.
+     * @param {Uint8Array} bytes - The bytes.
+     * @returns {string} - The UUID, e.g. "0190a6e4-8f2b-7c3d-9e4f-5a6b7c8d9e0f".
+     */
+    utilFormatUUID: function (bytes) {
+        const hex = Array.from(bytes, (b) => ("00" + b.toString(16)).slice(-2)).join("");
+        return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].join("-");
+    },
+
+    /**
+     * Generates a ULID: 10 characters of milliseconds then 16 random characters, in Crockford's base32.
+     * ULIDs sort by creation time.
+     * @returns {string} - The ULID.
+     */
+    utilULID: function () {
+        const alphabet = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+        let time = new Date().getTime();
+        let timePart = "";
+        for (let i = 0; i < 10; i++) {
+            timePart = alphabet[time % 32] + timePart;
+            time = Math.floor(time / 32);
+        }
+
+        // 5 bits per character from the random bytes
+        const random = crypto.getRandomValues(new Uint8Array(16));
+        const randomPart = Array.from(random, (b) => alphabet[b & 31]).join("");
+
+        return timePart + randomPart;
+    },
+
     /**
      * Computes the SHA-1 hash of a message.
      * @param {string} message - The message to hash.
@@ -1026,6 +4751,26 @@ const tagger = {
         return hashHex;
     },
 
+    /**
+     * Sanitizes the values of an object, keeping strings, finite numbers, booleans and null.
+     * @param {object} properties - The properties.
+     * @returns {object} - The sanitized properties.
+     */
+    utilSanitizeProperties: function (properties) {
+        const clean = {};
+        for (const key in properties ?? {}) {
+            const value = properties[key];
+            if (typeof value === "string") {
+                clean[key] = this.utilSanitizeString(value);
+            } else if (value === null || typeof value === "boolean" || (typeof value === "number" && isFinite(value))) {
+                clean[key] = value;
+            } else {
+                console.warn("[Tagger] Ignored property with an unsupported value:", key);
+            }
+        }
+        return clean;
+    },
+
     /**
      * Sanitizes a string while preserving URL structures.
      * @param {string} str - The string to sanitize.
@@ -1079,22 +4824,87 @@ const tagger = {
 
     /**
      * Gets the current domain without the subdomain.
+     * Uses the Public Suffix List, so shop.example.co.uk gives example.co.uk.
+     * IP addresses, localhost and public suffixes themselves are returned as is.
      * @returns {string} - The domain without the subdomain.
      */
     utilGetCurrentDomain: function () {
-        // Get the full hostname
-        let hostname = window.location.hostname;
+        const hostname = window.location.hostname.toLowerCase().replace(/\.$/, "");
+        return this.utilGetRegistrableDomain(hostname) ?? hostname;
+    },
+
+    /**
+     * Gets the registrable domain of a hostname: its public suffix plus one label.
+     * @param {string} hostname - The hostname.
+     * @returns {string|null} - The registrable domain, or null for IP addresses, single labels and public suffixes.
+     */
+    utilGetRegistrableDomain: function (hostname) {
+        if (!hostname || !hostname.includes(".") || hostname.startsWith("[") || this.utilValidateIp(hostname)) {
+            return null;
+        }
+
+        if (!this.publicSuffixes) {
+            this.publicSuffixes = new Set();
+            this.PUBLIC_SUFFIXES.split("|").forEach((group) => {
+                const [tld, labels] = group.split(":");
+                labels.split(",").forEach((label) => this.publicSuffixes.add(label + "." + tld));
+            });
+        }
 
-        // Remove www subdomain if exists
-        hostname = hostname.replace(/^www\./, "");
+        // The longest matching suffix wins, single labels are public suffixes by default
+        const labels = hostname.split(".");
+        for (let i = 0; i < labels.length; i++) {
+            const suffix = labels.slice(i).join(".");
+            if (this.publicSuffixes.has(suffix) || i === labels.length - 1) {
+                return i > 0 ? labels.slice(i - 1).join(".") : null;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Gets the domain cookies are shared on.
+     * Set taggerConfig.cookieDomain to override it, or to false for host-only cookies.
+     * @returns {string} - The cookie domain, empty for host-only cookies.
+     */
+    utilGetCookieDomain: function () {
+        const hostname = window.location.hostname.toLowerCase().replace(/\.$/, "");
+        const cookieDomain = this.getConfig().cookieDomain;
+
+        if (cookieDomain === false) {
+            return "";
+        }
+
+        if (typeof cookieDomain === "string" && cookieDomain) {
+            const domain = cookieDomain.toLowerCase().replace(/^\./, "");
 
-        // Remove subdomains
-        const parts = hostname.split(".");
-        if (parts.length > 2) {
-            hostname = parts.slice(-2).join(".");
+            // Browsers reject cookies for domains the page is not on
+            if (hostname === domain || hostname.endsWith("." + domain)) {
+                return domain;
+            }
+            console.warn("[Tagger] cookieDomain does not match the current host:", cookieDomain);
         }
 
-        return hostname;
+        // Host-only cookies for IP addresses, localhost and public suffixes
+        return this.utilGetRegistrableDomain(hostname) ?? "";
+    },
+
+    /**
+     * Computes the Levenshtein distance between two strings.
+     * @param {string} a - The first string.
+     * @param {string} b - The second string.
+     * @returns {number} - The number of single character edits turning a into b.
+     */
+    utilEditDistance: function (a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+            previous = current;
+        }
+        return previous[b.length];
     },
 
     /**
@@ -1110,7 +4920,8 @@ const tagger = {
             date.setTime(date.getTime() + days * 24 * 60 * 60 * 1000);
             expires = "; expires=" + date.toUTCString();
         }
-        document.cookie = name + "=" + (value || "") + expires + "; domain=" + this.utilGetCurrentDomain() + "; path=/";
+        const domain = this.utilGetCookieDomain();
+        document.cookie = name + "=" + (value || "") + expires + (domain ? "; domain=" + domain : "") + "; path=/";
     },
 
     /**
@@ -1138,14 +4949,48 @@ const tagger = {
     triggerEvent: function (element, eventName, detail = []) {
         const event = new CustomEvent(eventName, { detail });
         element.dispatchEvent(event);
+
+        // Listeners registered through on() receive the same detail
+        this._emit(eventName, detail);
     },
 };
 
+/**
+ * Initial state of every instance, copied before the global instance starts.
+ * @type {object}
+ */
+const TAGGER_STATE = structuredClone(Object.fromEntries(Object.entries(tagger).filter(([, value]) => typeof value !== "function")));
+
+/**
+ * Creates an independent Tagger instance, with its own configuration, storage prefix and state.
+ * Instances don't read window.taggerConfig, don't write the window.tagger* globals and don't initialize on their own.
+ * @param {object} [config={}] - The configuration, with the same options as window.taggerConfig.
+ * @returns {object} - The instance, call its init() method to start it.
+ */
+const createTagger = (config = {}) => {
+    return {
+        ...tagger,
+        ...structuredClone(TAGGER_STATE),
+        config: { ...config },
+        exposeGlobals: false,
+    };
+};
+
 /**
  * Automatically initializes the Tagger module when the DOM is ready.
  * Ensures that the initialization happens only once.
+ * Skipped outside browsers and when window.taggerConfig.autoInit is false.
  */
 const _taggerAutoInit = () => {
+    if (typeof window === "undefined" || typeof document === "undefined") {
+        return;
+    }
+
+    if (window.taggerConfig?.autoInit === false) {
+        console.log("[Tagger] Auto init disabled.");
+        return;
+    }
+
     // Avoid multiple inits
     if (window.taggerLoaded || window.__taggerInitInProgress) {
         console.log("[Tagger] Already initialized or in progress.");
@@ -1163,7 +5008,7 @@ const _taggerAutoInit = () => {
             }
 
             window.tagger = tagger;
-            window.tagger._init();
+            window.tagger.init();
             window.taggerLoaded = true;
             console.log("[Tagger] Initialized.");
         } catch (e) {
@@ -1191,4 +5036,4 @@ const _taggerAutoInit = () => {
 // Init tagger
 _taggerAutoInit();
 
-export { _taggerAutoInit, tagger };
+export { _taggerAutoInit, createTagger, tagger };
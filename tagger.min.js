@@ -1 +1 @@
-const tagger={SYNC_LOCK:!1,mainCallback:null,cachedIP:null,_init:async function(){if(this.utilIsBot())return void console.log("[Tagger] Bypassed.");let e=await this.userExists();if(window?.taggerConfig?.remoteSync&&window?.taggerConfig?.remoteEndpoint)try{e?console.log("[Tagger] Syncing existing user data..."):console.log("[Tagger] No existing user. Syncing user..."),await this._syncRemoteData()}catch(e){console.error("[Tagger] Remote sync error during init: ",e),console.log("[Tagger] Proceeding with local data only.")}const t=await this._retrieveUserID();window.taggerUserID=t,console.log("[Tagger] UserID:",t),window.taggerUserParams=this.getUserParams(),"loading"===document.readyState?document.addEventListener("DOMContentLoaded",async()=>{setTimeout(async()=>{this.triggerEvent(window,"tagger:init",[t]),await this.reload()},100)}):setTimeout(async()=>{this.triggerEvent(window,"tagger:init",[t]),await this.reload()},100);const r=window?.taggerConfig?.autoSyncInterval??0;r>0&&(console.log(`[Tagger] Auto sync enabled every ${r} ms.`),setInterval(async()=>{await this._syncRemoteData()},r)),console.log("[Tagger] Ready!"),window.taggerReady=!0},_bindEvents:function(){const e=this;document.querySelectorAll(".tg-form-submit").forEach(t=>{t.addEventListener("submit",function(t){e.fireCallback("tagger-submit",t)})});document.querySelectorAll(".tg-swap-child-href>a").forEach(e=>{e.classList.add("tg-conv-click")}),document.body.addEventListener("click",function(t){t.target.closest(".tg-conv-click")&&(e.doParamsSwap(),e.fireCallback("tagger-click",t))}),document.body.addEventListener("mousedown",function(t){1===t.button&&t.target.closest(".tg-conv-click")&&(e.doParamsSwap(),e.fireCallback("tagger-click",t))}),window.addEventListener("updated",function t(){window.removeEventListener("updated",t),setTimeout(async()=>{await e.reload()},100)},{once:!0})},registerCallback:function(e){return"function"==typeof e?(this.mainCallback=e,!0):(console.error("[Tagger] Invalid callback",e),!1)},fireCallback:function(e,t){"function"==typeof this.mainCallback?this.mainCallback(e,t):console.error("[Tagger] No callback function registered!")},userExists:async function(){return null!==await this._retrieveUserID(!1)},getUserID:()=>window.taggerUserID,_retrieveUserID:async function(e=!0){let t=this.getData("userID");if(!t&&e){const e=window?.taggerConfig?.prefix??"tg-",r=(new Date).getTime();t=await this.createNewUserID(e);const a=this.getUserReferrer(!0);this.storeData("userID",t),this.storeData("userCreateTime",r),this.storeData("updatedTime",r),this.storeData("userReferrer",a),console.log("[Tagger] UserID Created"),this.triggerEvent(window,"tagger:userIDCreated",[t]),this._syncRemoteData()}return t},createNewUserID:async function(e){let t=await this.utilGetUserIp()+navigator.userAgent+(new Date).getTime();return t=await this.utilSHA1(t),(e??"")+t},getUserParams:function(e=!0){let t=new URLSearchParams(window.location.search),r=window?.taggerConfig?.userParams??["utm_source","utm_medium","utm_campaign","utm_term","utm_content","gclid","gbraid","fbclid"];!r&&window?.taggerConfig?.userURLParams&&(r=window.taggerConfig.userURLParams);let a=this.getData("userParams");a||(a=this.getData("userURLParams")),a&&"object"==typeof a&&!Array.isArray(a)||(a={});let i=!1;r.forEach(e=>{t.has(e)&&!(e in a)&&(a[e]=t.get(e),i=!0)});document.cookie.split("; ").forEach(e=>{let[t,r]=e.split("=");if(!t.startsWith("__tg-param-"))return;const o=t.trim().replace(/^__tg-param-/,"");if(o&&!(o in a))try{r=atob(decodeURIComponent(r).trim()),a[o]=r,i=!0}catch(e){console.error("[Tagger] Error decoding cookie value: ",e)}});for(let e in a)a[e]=this.utilSanitizeString(a[e]);return i&&(this.storeData("userParams",a),this.storeData("updatedTime",(new Date).getTime()),e&&this._syncRemoteData()),a},getUserParam:function(e){return this.getUserParams()[e]},setUserParam:function(e,t,r=!0){let a=this.getUserParams();a&&"object"==typeof a&&!Array.isArray(a)||(a={});return a[e]!==t&&(a[e]=this.sanitizeParam(t),this.storeData("userParams",a),this.storeData("updatedTime",(new Date).getTime()),r&&this._syncRemoteData(),window.taggerUserParams=a,!0)},storeData:function(e,t){if(this.isLocked())return console.warn("[Tagger] Can't store data while a sync operation is in progress."),null;e="__tg-"+e;try{const r=JSON.stringify(t);if(!r)return console.error("[Tagger] Unable to stringify value for key:",e,t),null;const a=btoa(encodeURIComponent(r));return this.utilSetCookie(e,a,365),localStorage.setItem(e,a),t}catch(e){console.error("[Tagger] Error storing data: ",e)}},getData:function(e){e="__tg-"+e;try{let t=this.utilGetCookie(e);if(t||(t=localStorage.getItem(e),t&&this.utilSetCookie(e,t,365)),t)try{const e=decodeURIComponent(atob(t)),r=JSON.parse(e);if(r&&("object"==typeof r||"string"==typeof r||"number"==typeof r))return r}catch(t){console.warn("[Tagger] Error decoding or parsing data for key:",e,t)}return null}catch(t){return console.error("[Tagger] Error retrieving data for key:",e,t),null}},sync:async function(){await this._syncRemoteData()},_syncRemoteData:async function(e=!1){const t=window?.taggerConfig;if(!t?.remoteSync||!t?.remoteEndpoint)return;const r=t.remoteEndpoint,a=t?.remoteSyncEmptyParams??!1;if(!r?.startsWith("https://"))return void console.error("[Tagger] Remote endpoint must be HTTPS.");if(this.isLocked())return void console.warn("[Tagger] Sync operation already in progress.");this.lock();const i=this._getSyncableData(),o=Object.keys(i).length>=2;if(o&&!a&&!i?.userParams)return console.info("[Tagger] No user params to sync."),void this.unlock();try{let t=o&&!e?"GET_CHECK":"GET_FULL";o&&(e||this.isLocalDataNewer(i))?t="POST":o&&!this.isLocalDataNewer(i)&&(t="GET_CHECK");let a=null,n=r;if("POST"===t){const e=await this._prepareRemotePayload(i),t=await fetch(n,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(e)});if(t.ok)if(a=await t.json(),a.updated)this.unlock(),this.storeData("remoteUpdatedTime",a.updatedTime||0),console.log("[Tagger] Synced remote data.");else if(a.data){this.unlock();const e=this._decodeRemoteData(a.data);e&&this.isRemoteDataNewer(e)?(this._applyRemoteData(e),console.log("[Tagger] Synced remote data.")):this.storeData("remoteUpdatedTime",a.updatedTime||0)}else console.warn("[Tagger] No remote data available.");else console.error("[Tagger] Remote sync POST failed:",t.statusText);return void this.unlock()}{if("GET_CHECK"===t){const e=i.updatedTime||i.userParams?.timestamp||0;e&&(n=this.utilAppendURLParam(n,"updatedTime",e))}const e=await this.utilGetUserIp(),r=await fetch(this.utilAppendURLParam(n,"ip",e),{method:"GET"});if(r.ok){if(a=await r.json(),a.data){const e=this._decodeRemoteData(a.data);e&&this.isRemoteDataNewer(e)?(this.unlock(),this._applyRemoteData(e),console.log("[Tagger] Synced remote data.")):console.log("[Tagger] Remote data is not newer or is invalid.")}else if(!a.updated&&"GET_CHECK"===t){const e=i.updatedTime||i.userParams?.timestamp||0;e>(a.updatedTime||0)&&(this.unlock(),await this._syncRemoteData(!0))}}else console.error("[Tagger] Remote sync GET failed:",r.statusText)}}catch(e){console.error("[Tagger] Remote sync communication error: ",e)}this.unlock()},_prepareRemotePayload:async function(e){const t=await this.utilGetUserIp(),r={...e,userAgent:this.getUserAgent(),userReferrer:this.getUserReferrer(),userIP:t},a=JSON.stringify(r),i=(new TextEncoder).encode(a);let o="";for(let e=0;e<i.byteLength;e++)o+=String.fromCharCode(i[e]);return{data:btoa(o)}},_getSyncableData:function(){const e={},t=this.getData("userID"),r=this.getData("userParams"),a=this.getData("userCreateTime"),i=this.getData("updatedTime");return t&&(e.userID=t),r&&(e.userParams=r),a&&(e.userCreateTime=a),i&&(e.updatedTime=i),e},isLocalDataNewer:function(e){return(e.updatedTime||e.userParams?.timestamp||0)>(this.getData("remoteUpdatedTime")||0)},isRemoteDataNewer:function(e){const t=this.getData("updatedTime")||this.getData("userParams")?.timestamp||0;return(e.updatedTime||e.userParams?.timestamp||0)>t},_decodeRemoteData:function(e){try{const t=atob(e);return JSON.parse(t)}catch(e){return console.error("[Tagger] Error decoding or parsing remote data: ",e),null}},_applyRemoteData:function(e,t){this.isLocked()?console.warn("[Tagger] Sync operation already in progress."):(e.userID&&(this.storeData("userID",e.userID),window.taggerUserID=e.userID),e.userParams&&(this.storeData("userParams",e.userParams),window.taggerUserParams=e.userParams),e.userCreateTime&&this.storeData("userCreateTime",e.userCreateTime),e.updatedTime&&this.storeData("updatedTime",e.updatedTime),e.updatedTime&&this.storeData("remoteUpdatedTime",e.updatedTime),e.userReferrer&&this.storeData("userReferrer",e.userReferrer),this.triggerEvent(window,"tagger:remoteSyncApplied"))},isLocked:function(){return this.SYNC_LOCK},lock:function(){this.SYNC_LOCK=!0},unlock:function(){this.SYNC_LOCK=!1},getInstance:function(){return this},getUserReferrer:function(e=!1){if(!e){const e=this.getData("userReferrer");if(e)return e}const t=document.referrer;return this.setUserReferrer(t),t||""},setUserReferrer:function(e){setTimeout(()=>{this.storeData("userReferrer",e)},1e3)},getUserAgent:function(e=!1){if(!e){const e=this.getData("userAgent");if(e)return e}const t=navigator.userAgent;return setTimeout(()=>{this.storeData("userAgent",t)},1e3),t||""},doParamsSwap:function(){const e=this;document.querySelectorAll(".tg-swap-child-href>a").forEach(e=>{e.classList.add("tg-swap-href")});const t=document.querySelectorAll(".tg-swap-href");for(const r of t){if(r.classList.contains("tg-swap-href-done"))continue;let t=r.getAttribute("href"),a=e.utilMoveURLParamsToNewURL(t);a=e.utilSanitizeURL(a),r.setAttribute("href",a),r.classList.add("tg-swap-href-done")}},reload:async function(){this._bindEvents(),console.log("[Tagger] Reloaded"),this.triggerEvent(window,"tagger:reload"),window.taggerReady=!0},utilAppendURLParam:function(e,t,r){try{let a=new URL(e,window.location.href);return a.searchParams.append(t,r),a.href}catch(t){return console.error("[Tagger] Error appending URL param: ",t),e}},utilMoveURLParamsToNewURL:function(e,t=!0){if(!e||"#"===e)return e;try{let r=new URLSearchParams(window.location.search),a=new URL(e,window.location.href);if(r.forEach((e,t)=>{"user_id"!==t&&a.searchParams.append(t,e)}),t){let e=this.getUserID();a.searchParams.append("user_id",e)}return a.href}catch(t){return console.error("[Tagger] Error moving URL params to new URL: ",t),e}},utilGetParamFromURL:function(e){return new URLSearchParams(window.location.search).get(e)},utilGetUserIp:async function(e=!1){if(e=!!e||(window?.taggerConfig?.forceIPv4??!1),this.cachedIP)return this.cachedIP;let t=this.getData("userIP"),r=this.getData("userIPUpdatedTime")||0;const a=window?.taggerConfig?.ipCacheDuration??864e5;if(t&&this.utilValidateIp(t)&&Date.now()-r<a)return this.cachedIP=t,t;const i=e=>{this.cachedIP=e,setTimeout(()=>{this.storeData("userIP",e),this.storeData("userIPUpdatedTime",Date.now())},1e3)};try{const t=e?"https://api4.ipify.org/?format=json":"https://api.ipify.org?format=json",r=await fetch(t);if(r.ok){const e=await r.json();if(this.utilValidateIp(e.ip))return i(e.ip),e.ip}}catch(t){try{if(e){const e=await fetch("https://ipv4.icanhazip.com/");if(e.ok){const t=(await e.text()).trim();if(this.utilValidateIp(t))return i(t),t}}else{const e=await fetch("https://ipinfo.io/json");if(e.ok){const t=await e.json();if(this.utilValidateIp(t.ip))return i(t.ip),t.ip}}}catch(e){return console.error("[Tagger] Error retrieving user ip: ",e),"unknown"}}},utilValidateIp:function(e){return/^(?:[0-9]{1,3}\.){3}[0-9]{1,3}$|^([0-9a-fA-F]{1,4}:){7,7}[0-9a-fA-F]{1,4}|^([0-9a-fA-F]{1,4}:){1,7}:|^([0-9a-fA-F]{1,4}:){1,6}:[0-9a-fA-F]{1,4}|^([0-9a-fA-F]{1,4}:){1,5}(:[0-9a-fA-F]{1,4}){1,2}|^([0-9a-fA-F]{1,4}:){1,4}(:[0-9a-fA-F]{1,4}){1,3}|^([0-9a-fA-F]{1,4}:){1,3}(:[0-9a-fA-F]{1,4}){1,4}|^([0-9a-fA-F]{1,4}:){1,2}(:[0-9a-fA-F]{1,4}){1,5}|^[0-9a-fA-F]{1,4}:((:[0-9a-fA-F]{1,4}){1,6})|:((:[0-9a-fA-F]{1,4}){1,7}|:)$/.test(e)},utilIsBot:function(){const e=navigator.userAgent.toLowerCase();return["bot","crawl","spider","lighthouse"].some(t=>e.includes(t))},utilSHA1:async function(e){const t=(new TextEncoder).encode(e),r=await crypto.subtle.digest("SHA-1",t);return Array.from(new Uint8Array(r)).map(e=>("00"+e.toString(16)).slice(-2)).join("")},utilSanitizeString:function(e){if(!e||"string"!=typeof e)return"";let t;try{t=decodeURIComponent(e)}catch(r){t=e}return t.trim().replace(/<[^>]*>?/gm,"").replace(/[<>"'`\\]/g,"").replace(/javascript:/gi,"").substring(0,2e3)},utilSanitizeURL:function(e){if(!e)return"";const t=decodeURIComponent(e).trim();return t.startsWith("/")||["http:","https:","tel:","#","/"].some(e=>t.toLowerCase().startsWith(e))?e:(console.warn("[Tagger] Blocked unsafe URL protocol:",e),"#")},utilGetCurrentDomain:function(){let e=window.location.hostname;e=e.replace(/^www\./,"");const t=e.split(".");return t.length>2&&(e=t.slice(-2).join(".")),e},utilSetCookie:function(e,t,r){let a="";if(r){const e=new Date;e.setTime(e.getTime()+24*r*60*60*1e3),a="; expires="+e.toUTCString()}document.cookie=e+"="+(t||"")+a+"; domain="+this.utilGetCurrentDomain()+"; path=/"},utilGetCookie:function(e){const t=e+"=",r=document.cookie.split(";");for(let e=0;e<r.length;e++){let a=r[e];for(;" "===a.charAt(0);)a=a.substring(1,a.length);if(0===a.indexOf(t))return a.substring(t.length,a.length)}return null},triggerEvent:function(e,t,r=[]){const a=new CustomEvent(t,{detail:r});e.dispatchEvent(a)}},_taggerAutoInit=()=>{if(window.taggerLoaded||window.__taggerInitInProgress)return void console.log("[Tagger] Already initialized or in progress.");window.__taggerInitInProgress=!0;const e=()=>{try{if(window.taggerLoaded)return;0,window.tagger=tagger,window.tagger._init(),window.taggerLoaded=!0,console.log("[Tagger] Initialized.")}catch(e){console.error("[Tagger] Initialization failed:",e)}finally{window.__taggerInitInProgress=!1}};if("complete"===document.readyState||"interactive"===document.readyState)return void e();const t=setInterval(()=>{"complete"!==document.readyState&&"interactive"!==document.readyState||(clearInterval(t),e())},100)};_taggerAutoInit();export{_taggerAutoInit,tagger};
\ No newline at end of file
+const tagger={SYNC_LOCK:!1,syncGeneration:0,PROTOCOL_VERSION:2,SIGNATURE_MAX_AGE:3e5,SYNC_SCHEMA:{userID:"string",userParams:"object",userParamsMeta:"object",userCreateTime:"number",updatedTime:"number",userReferrer:"string",firstTouch:"object",lastTouch:"object",touchpoints:"array",externalID:"string",aliases:"array",traits:"object"},CONFIG_SCHEMA:{autoInit:{type:"boolean",default:!0,initOnly:!0},autoSyncInterval:{type:"number",default:0,min:0},autoTrack:{type:"boolean",default:!0},classifyReferrer:{type:"boolean",default:!0},cookieDomain:{type:["string","boolean"]},crossTab:{type:"boolean",default:!0,initOnly:!0},decorate:{type:["array","object"]},eventsBatchDelay:{type:"number",default:1e3,min:0},eventsBatchSize:{type:"number",default:20,min:1},eventsEndpoint:{type:"string"},forceIPv4:{type:"boolean",default:!1},formFields:{type:["object","boolean"]},honorPrivacySignals:{type:"boolean",default:!0},idStrategy:{type:["string","function"],default:"hash",values:["hash","uuidv4","uuidv7","ulid"]},integrations:{type:"object",initOnly:!0},ipCacheDuration:{type:"number",default:864e5,min:0},ipProvider:{type:["string","boolean"]},linker:{type:["boolean","object"]},maxForgetRetries:{type:"number",default:100,min:0},maxRetries:{type:"number",default:10,min:0},maxTouchpoints:{type:"number",default:10,min:1},mergePolicy:{type:["string","function"],default:"last-write-wins",values:["last-write-wins","first-write-wins"]},paramTTL:{type:"object"},plugins:{type:"array",initOnly:!0},prefix:{type:"string",default:"tg-"},referrerRules:{type:"array"},remoteEndpoint:{type:"string",https:!0},remoteSync:{type:"boolean",default:!1},remoteSyncEmptyParams:{type:"boolean",default:!1},requireConsent:{type:"boolean",default:!1},retryDelay:{type:"number",default:2e3,min:0},sessionTimeout:{type:"number",default:18e5,min:0},storage:{type:["string","array"],default:"cookie+localStorage",initOnly:!0},storagePrefix:{type:"string",default:"__tg-",pattern:/^[\w-]+$/,initOnly:!0},syncVerification:{type:"object"},userParams:{type:"array",items:"string",default:["utm_source","utm_medium","utm_campaign","utm_term","utm_content","gclid","gbraid","fbclid"]},userURLParams:{type:"array",items:"string"}},REFERRER_RULES:[{match:"google",source:"google",medium:"organic"},{match:"bing.com",source:"bing",medium:"organic"},{match:"search.yahoo.com",source:"yahoo",medium:"organic"},{match:"duckduckgo.com",source:"duckduckgo",medium:"organic"},{match:"baidu.com",source:"baidu",medium:"organic"},{match:"yandex",source:"yandex",medium:"organic"},{match:"ecosia.org",source:"ecosia",medium:"organic"},{match:"search.brave.com",source:"brave",medium:"organic"},{match:"naver.com",source:"naver",medium:"organic"},{match:"seznam.cz",source:"seznam",medium:"organic"},{match:"facebook.com",source:"facebook",medium:"social"},{match:"fb.com",source:"facebook",medium:"social"},{match:"instagram.com",source:"instagram",medium:"social"},{match:"t.co",source:"twitter",medium:"social"},{match:"twitter.com",source:"twitter",medium:"social"},{match:"x.com",source:"twitter",medium:"social"},{match:"linkedin.com",source:"linkedin",medium:"social"},{match:"lnkd.in",source:"linkedin",medium:"social"},{match:"pinterest",source:"pinterest",medium:"social"},{match:"reddit.com",source:"reddit",medium:"social"},{match:"youtube.com",source:"youtube",medium:"social"},{match:"tiktok.com",source:"tiktok",medium:"social"},{match:"threads.net",source:"threads",medium:"social"},{match:"whatsapp.com",source:"whatsapp",medium:"social"}],LOCAL_ONLY_KEYS:["firstTouch","lastTouch","touchpoints","outbox","syncKey"],PUBLIC_SUFFIXES:"uk:co,org,me,ltd,plc,net,sch,ac,gov,nhs,police|au:com,net,org,edu,gov,asn,id|nz:co,net,org,govt,ac,geek,gen,kiwi,school|jp:co,ne,or,ac,ad,ed,go,gr,lg|kr:co,ne,or,re,pe,go,ac|cn:com,net,org,gov,edu,ac|hk:com,net,org,gov,edu|tw:com,net,org,gov,edu|sg:com,net,org,gov,edu|my:com,net,org,gov,edu|in:co,net,org,firm,gen,ind,gov,ac,edu|id:co,or,ac,go,web|th:co,in,or,ac,go|vn:com,net,org,gov,edu|ph:com,net,org,gov,edu|pk:com,net,org,gov,edu|bd:com,net,org,gov|lk:com,org,gov|np:com,org,gov|br:com,net,org,gov,edu,art,blog,eco,ind,tur|mx:com,net,org,gob,edu|ar:com,net,org,gob,gov,edu|co:com,net,org,gov,edu|pe:com,net,org,gob,edu|cl:gob,gov|ve:com,net,org,gob|uy:com,net,org,gub|ec:com,net,org,gob|bo:com,net,org,gob|py:com,net,org,gov|za:co,net,org,gov,ac,web|ng:com,net,org,gov,edu|ke:co,or,ne,go,ac|eg:com,net,org,gov,edu|ma:co,net,org,gov,ac|il:co,net,org,gov,ac,muni|tr:com,net,org,gov,edu,gen,biz|sa:com,net,org,gov,edu|ae:co,net,org,gov,ac|qa:com,net,org,gov|ua:com,net,org,gov,edu,in|ru:com,net,org|pl:com,net,org,gov,edu,biz,info|gr:com,net,org,gov,edu|cy:com,net,org,gov|es:com,nom,org,gob,edu|pt:com,org,gov,edu|fr:asso,com,gouv,nom|it:gov,edu|at:co,or,gv,ac|be:ac|hu:co,org,info|ro:com,org,info|io:github,gitlab|app:vercel,netlify,web,herokuapp,onrender|dev:pages,workers|com:herokuapp,blogspot,firebaseapp,appspot,azurewebsites|net:azurewebsites,cloudfront,netlify",publicSuffixes:null,mainCallback:null,listeners:{},cachedIP:null,tabID:null,leader:!0,leaderElection:null,broadcastChannel:null,pendingChangeKeys:new Set,applyingExternalChange:!1,outboxTimer:null,outboxFlushing:!1,deliveringRequests:new Set,hideSentRequests:new Set,eventBatch:[],eventBatchTimer:null,integrations:null,plugins:[],eventsBound:!1,domObserver:null,touchpointCaptured:!1,pageViewTracked:!1,memoryStore:{},storageBackends:{},consent:null,config:null,configOverrides:{},invalidConfig:{},exposeGlobals:!0,currentUserID:void 0,currentUserParams:void 0,ready:!1,initialization:null,autoSyncTimer:null,init:function(){return this.initialization||(this.initialization=this._init()),this.initialization},_init:async function(){if(this.utilIsBot())return void console.log("[Tagger] Bypassed.");const t=this.validateConfig(this.getConfig());t.length&&(this._reportConfigErrors(t),t.forEach(t=>{this.invalidConfig[t.option]=t.value})),await this._loadStorage(),(this.getConfig().plugins??[]).forEach(t=>this.use(t)),this._setupIntegrations(),this._setupCrossTab();const e=await this.isLeaderTab();await this._adoptLinkerIdentity();let r=await this.userExists();if(this.getConfig().remoteSync&&this.getConfig().remoteEndpoint&&e)try{r?console.log("[Tagger] Syncing existing user data..."):console.log("[Tagger] No existing user. Syncing user..."),await this._syncRemoteData()}catch(t){console.error("[Tagger] Remote sync error during init: ",t),console.log("[Tagger] Proceeding with local data only.")}const i=await this._retrieveUserID();this._setUserID(i),console.log("[Tagger] UserID:",i),this._setUserParams(this.getUserParams()),"loading"===document.readyState?document.addEventListener("DOMContentLoaded",async()=>{setTimeout(async()=>{this.triggerEvent(window,"tagger:init",[i]),await this.reload()},100)}):setTimeout(async()=>{this.triggerEvent(window,"tagger:init",[i]),await this.reload()},100),this._scheduleOutbox(),this._startAutoSync(),console.log("[Tagger] Ready!"),this._setReady(),this._runHook("init",this)},getConfig:function(){const t={...this.config??window?.taggerConfig??{}};for(const e in this.invalidConfig)t[e]===this.invalidConfig[e]&&delete t[e];return Object.assign(t,this.configOverrides)},_getOption:function(t){return this.getConfig()[t]??this.CONFIG_SCHEMA[t]?.default},getEffectiveConfig:function(){const t={};for(const e in this.CONFIG_SCHEMA)"default"in this.CONFIG_SCHEMA[e]&&(t[e]=this.CONFIG_SCHEMA[e].default);return{...t,...this.getConfig()}},configure:function(t){if(!t||"object"!=typeof t||Array.isArray(t)){const e=[{option:null,value:t,message:"Config must be an object"}];return this._reportConfigErrors(e),{config:this.getEffectiveConfig(),errors:e}}const e=this.validateConfig(t),r=new Set(e.map(t=>t.option)),i={};for(const n in t)r.has(n)||(this.initialization&&this.CONFIG_SCHEMA[n]?.initOnly&&t[n]!==this.getConfig()[n]?e.push({option:n,value:t[n],message:"Can only be set before init"}):i[n]=t[n]);this._reportConfigErrors(e);const n=this.getConfig();return this.configOverrides={...this.configOverrides,...i},this._applyConfigChanges(n,i),{config:this.getEffectiveConfig(),errors:e}},validateConfig:function(t){const e=[],r=Object.keys(this.CONFIG_SCHEMA);for(const i in t??{}){const n=t[i],s=this.CONFIG_SCHEMA[i],a=t=>e.push({option:i,value:n,message:t});if(!s){const t=r.find(t=>t.toLowerCase()===i.toLowerCase()||this.utilEditDistance(t,i)<=2);a(t?`Unknown option, did you mean "${t}"?`:"Unknown option");continue}if(null==n)continue;const o=[].concat(s.type),c=Array.isArray(n)?"array":typeof n;!o.includes(c)||"number"===c&&!isFinite(n)?a(`Expected ${o.join(" or ")}, got ${"number"===c?"a non-finite number":c}`):"number"===c&&void 0!==s.min&&n<s.min?a(`Must be at least ${s.min}`):"string"===c&&s.values&&!s.values.includes(n)?a(`Must be one of ${s.values.join(", ")}`):"string"===c&&s.pattern&&!s.pattern.test(n)?a(`Must match ${s.pattern}`):"string"===c&&s.https&&!n.startsWith("https://")?a("Must be an HTTPS URL"):"array"===c&&s.items&&n.some(t=>typeof t!==s.items)&&a(`Must only hold ${s.items} items`)}return e},_reportConfigErrors:function(t){t.length&&console.warn("[Tagger] Invalid config:",t)},_applyConfigChanges:function(t,e){if(!this.ready)return;"autoSyncInterval"in e&&this._startAutoSync(),("userParams"in e||"userURLParams"in e)&&this._setUserParams(this.getUserParams());const r=t.remoteSync&&t.remoteEndpoint;!(this.getConfig().remoteSync&&this.getConfig().remoteEndpoint)||r&&t.remoteEndpoint===this.getConfig().remoteEndpoint||this._syncRemoteData()},_startAutoSync:function(){clearInterval(this.autoSyncTimer),this.autoSyncTimer=null;const t=this._getOption("autoSyncInterval");t>0&&(console.log(`[Tagger] Auto sync enabled every ${t} ms.`),this.autoSyncTimer=setInterval(async()=>{await this.isLeaderTab()&&await this._syncRemoteData()},t))},getStoragePrefix:function(){const t=this._getOption("storagePrefix");return"string"==typeof t&&/^[\w-]+$/.test(t)?t:this.CONFIG_SCHEMA.storagePrefix.default},_getInstanceNamespace:function(){const t=this.getStoragePrefix();return"__tg-"===t?"":t},_setUserID:function(t){this.currentUserID=t,this.exposeGlobals&&(window.taggerUserID=t)},_setUserParams:function(t){this.currentUserParams=t,this.exposeGlobals&&(window.taggerUserParams=t)},_setReady:function(){this.ready=!0,this.exposeGlobals&&(window.taggerReady=!0)},_bindEvents:function(){const t=this;this.eventsBound||(this.eventsBound=!0,document.addEventListener("submit",function(e){const r=e.target.closest?.(".tg-form-submit");r&&(t.injectFormFields(r),t._trackElement(r,"form_submit"),t.fireCallback("tagger-submit",e))},!0),document.addEventListener("click",function(e){const r=e.target.closest?.(".tg-conv-click");r&&(t.doParamsSwap(),t._trackElement(r,"click"),t.fireCallback("tagger-click",e)),t._refreshLinkerToken(e.target.closest?.("a"))}),document.addEventListener("mousedown",function(e){const r=e.target.closest?.(".tg-conv-click");1===e.button&&r&&(t.doParamsSwap(),t._trackElement(r,"click"),t.fireCallback("tagger-click",e)),1===e.button&&t._refreshLinkerToken(e.target.closest?.("a"))}),window.addEventListener("updated",function(){setTimeout(async()=>{await t.reload()},100)}),window.addEventListener("online",async function(){await t._flushOutbox(!0)}),window.addEventListener("pagehide",function(){t._flushEvents(!1),t._flushOutboxOnHide()}),document.addEventListener("visibilitychange",function(){"hidden"===document.visibilityState?(t._flushEvents(!1),t._flushOutboxOnHide()):t.hideSentRequests.clear()}))},_scanDOM:function(t=document){this.utilQueryAll(t,".tg-swap-child-href>a").forEach(t=>{t.classList.add("tg-conv-click")}),this.doParamsSwap(t)},_observeDOM:function(){if(this.domObserver||"undefined"==typeof MutationObserver||!document.body)return;const t=new Set;let e=null;this.domObserver=new MutationObserver(r=>{r.forEach(e=>{e.addedNodes.forEach(e=>{e.nodeType===Node.ELEMENT_NODE&&t.add(e)})}),t.size&&!e&&(e=setTimeout(()=>{e=null;const r=[...t];t.clear(),r.filter(t=>t.isConnected&&!r.some(e=>e!==t&&e.contains(t))).forEach(t=>this._scanDOM(t))},50))}),this.domObserver.observe(document.body,{childList:!0,subtree:!0})},registerCallback:function(t){return"function"==typeof t?(this.mainCallback=t,!0):(console.error("[Tagger] Invalid callback",t),!1)},fireCallback:function(t,e){this._emit(t,e),"function"==typeof this.mainCallback&&this.mainCallback(t,e)},on:function(t,e){return"string"!=typeof t||"function"!=typeof e?(console.error("[Tagger] Invalid listener",t,e),!1):(this.listeners[t]||(this.listeners[t]=[]),this.listeners[t].push(e),!0)},once:function(t,e){if("function"!=typeof e)return console.error("[Tagger] Invalid listener",t,e),!1;const r=this,i=function(n,s){r.off(t,i),e(n,s)};return i.callback=e,this.on(t,i)},off:function(t,e){this.listeners[t]&&(e&&(this.listeners[t]=this.listeners[t].filter(t=>t!==e&&t.callback!==e)),e&&this.listeners[t].length||delete this.listeners[t])},_emit:function(t,e){Object.keys(this.listeners).filter(e=>e===t||e.endsWith("*")&&t.startsWith(e.slice(0,-1))).forEach(r=>{[...this.listeners[r]].forEach(r=>{try{r(e,t)}catch(e){console.error("[Tagger] Error in listener for "+t+": ",e)}})})},userExists:async function(){return null!==await this._retrieveUserID(!1)},getUserID(){return this.currentUserID},_retrieveUserID:async function(t=!0){let e=this.getData("userID");if(!e&&t){const t=this._getOption("prefix"),r=(new Date).getTime();e=await this.createNewUserID(t);const i=this.getUserReferrer(!0);this._writeData("userID",e),this._writeData("userCreateTime",r),this._writeData("updatedTime",r),this._writeData("userReferrer",i),console.log("[Tagger] UserID Created"),this.triggerEvent(window,"tagger:userIDCreated",[e]),this._syncRemoteData()}return e},createNewUserID:async function(t){const e=this._getOption("idStrategy");let r;if("function"==typeof e){try{r=await e()}catch(t){console.error("[Tagger] Error in the user ID generator: ",t)}"string"==typeof r&&/^[\w.:-]{1,128}$/.test((t??"")+r)||(console.warn("[Tagger] Invalid user ID generated, using a UUIDv4 instead."),r=this.utilUUIDv4())}else if("uuidv4"===e)r=this.utilUUIDv4();else if("uuidv7"===e)r=this.utilUUIDv7();else if("ulid"===e)r=this.utilULID();else{"hash"!==e&&console.warn("[Tagger] Unknown ID strategy:",e);let t=await this.utilGetUserIp(),i=navigator.userAgent,n=(new Date).getTime();r=await this.utilSHA1(t+i+n)}return(t??"")+r},identify:function(t,e={}){if(!(t="number"==typeof t?String(t):this.utilSanitizeString(t))||t.length>128)return console.error("[Tagger] Invalid external ID."),!1;const r=this.currentUserID??this.getData("userID"),i=this.getData("externalID")===t,n=i?this.getData("aliases")??[]:[],s=i?this.getData("traits")??{}:{},a=this._addAlias(n,r),o=this._mergeTraits(s,e),c=JSON.stringify(o)!==JSON.stringify(this.getData("traits")??{});if(!i||a||c){this.isLocked()&&(this.syncGeneration++,this.unlock());if([this.storeData("externalID",t),this.storeData("aliases",n),this.storeData("traits",o),this.storeData("updatedTime",(new Date).getTime())].some(t=>null==t))return console.error("[Tagger] Unable to store the identity."),!1;!r||i&&!a||this._sendRemoteRequest("alias",{userID:r,externalID:t,time:(new Date).getTime()}),this._syncRemoteData(!0)}return console.log("[Tagger] User identified:",t),this.triggerEvent(window,"tagger:identify",[t,this.getData("traits")]),!0},getIdentity:function(){return{userID:this.currentUserID??this.getData("userID"),externalID:this.getData("externalID"),aliases:this.getData("aliases")??[],traits:this.getData("traits")??{}}},reset:async function(){const t=this.currentUserID??this.getData("userID");return this._resetLocalState(this._getOutbox()),this._setUserID(await this._retrieveUserID()),console.log("[Tagger] State reset."),this.triggerEvent(window,"tagger:reset",[t,this.currentUserID]),this.currentUserID},forget:async function(){const t=this.getIdentity(),e={userID:t.userID,externalID:t.externalID,aliases:t.aliases.map(t=>t.id),time:(new Date).getTime()},r=this._getSyncKey();return this._resetLocalState(this._getOutbox().filter(t=>"forget"===t.type)),t.userID&&this._sendRemoteRequest("forget",e,{key:r}),this._setUserID(await this._retrieveUserID()),console.log("[Tagger] User forgotten:",t.userID),this.triggerEvent(window,"tagger:forget",[t.userID,this.currentUserID]),this.currentUserID},_resetLocalState:function(t){this.syncGeneration++,this.unlock(),this._clearPersistentData();const e=this._getStorageBackend("memory");e.keys().filter(t=>t!==this.getStoragePrefix()+"consent").forEach(t=>e.remove(t)),this._saveOutbox(t),this.eventBatch=[],this._setUserID(void 0),this._setUserParams({}),this.touchpointCaptured=!0},_addAlias:function(t,e,r){return!(!e||t.some(t=>t.id===e))&&(t.push({id:e,time:r??(new Date).getTime()}),!0)},_mergeTraits:function(t,e){const r={...t},i=this.utilSanitizeProperties(e);for(const t in i)null===i[t]?delete r[t]:r[t]=i[t];return r},_aliasReplacedUserID:function(t){const e=this.getData("userID");e&&e!==t&&this._linkAlias(e,t)},_linkAlias:function(t,e){const r=this.getData("aliases")??[],i=this._addAlias(r,t);if(this._addAlias(r,e),this.storeData("aliases",r),!i)return;const n=this.getData("externalID");this._sendRemoteRequest("alias",{userID:t,aliasOf:e,externalID:n,time:(new Date).getTime()})},getTrackedParams:function(){return this.getConfig().userParams??this.getConfig().userURLParams??this._getOption("userParams")},getUserParams:function(t=!0){let e=new URLSearchParams(window.location.search),r=this.getTrackedParams(),i=this.getData("userParams");i||(i=this.getData("userURLParams")),i&&"object"==typeof i&&!Array.isArray(i)||(i={});let n=this.getData("userParamsMeta");n&&"object"==typeof n&&!Array.isArray(n)||(n={});let s=!1,a={};const o=(new Date).getTime();for(let t in i)n[t]?.time||(n[t]={time:o,origin:"legacy"},s=!0);const c=this._pruneExpiredParams(i,n);c.forEach(({param:t})=>{const e=this.getStoragePrefix()+"param-"+t;null!==this.utilGetCookie(e)&&this.utilSetCookie(e,"",-1),s=!0}),r.forEach(t=>{e.has(t)&&(a[t]=this.utilSanitizeString(e.get(t)))});const u=this._runHook("captureParams",a,e)||{};a={};for(const t in u)a[t]=this.utilSanitizeString(String(u[t]??""));if(Object.keys(a).length)for(let t in i)"referrer"===n[t]?.origin&&(delete i[t],n[t]={time:o,origin:"url",deleted:!0},s=!0);for(const t in a)t in i||(i[t]=a[t],n[t]={time:o,origin:"url"},s=!0);document.cookie.split("; ").forEach(t=>{let[e,r]=t.split("=");const a=this.getStoragePrefix()+"param-";if(!e.startsWith(a))return;const c=e.trim().slice(a.length);if(c&&!(c in i))try{r=atob(decodeURIComponent(r).trim()),i[c]=r,n[c]={time:o,origin:"cookie"},s=!0}catch(t){console.error("[Tagger] Error decoding cookie value: ",t)}});let g=a;if(!Object.keys(a).length&&this._getOption("classifyReferrer")){const t=this.utilClassifyReferrer(document.referrer),e="(none)"===t?.utm_medium;t&&this._applyReferrerParams(i,n,t,r)&&(s=!0),g=t&&!e?t:{}}this._recordTouchpoint(g)&&(s=!0),this._trackPageView(g);for(let t in i)i[t]=this.utilSanitizeString(i[t]);return s&&(this.storeData("userParams",i),this.storeData("userParamsMeta",n),this.storeData("updatedTime",o),t&&this._syncRemoteData()),c.forEach(({param:t,value:e})=>{console.log("[Tagger] Param expired:",t),this.triggerEvent(window,"tagger:paramExpired",[t,e])}),i},_applyReferrerParams:function(t,e,r,i){const n=r=>(t=>"referrer"===e[t]?.origin)(r)&&t[r]===("utm_source"===r?"(direct)":"(none)"),s=Object.keys(r).filter(t=>i.includes(t)),a=s.every(e=>!(e in t)||n(e)&&"(none)"!==r.utm_medium);if(!s.length||!a)return!1;const o=(new Date).getTime();return s.forEach(i=>{t[i]=r[i],e[i]={time:o,origin:"referrer"}}),!0},getUserParam:function(t){return this.getUserParams()[t]},setUserParam:function(t,e,r=!0){let i=this.getUserParams();i&&"object"==typeof i&&!Array.isArray(i)||(i={});if(i[t]===e)return!1;i[t]=this.utilSanitizeString(e);const n=this.getData("userParamsMeta")||{};return n[t]={time:(new Date).getTime(),origin:"manual"},this.storeData("userParams",i),this.storeData("userParamsMeta",n),this.storeData("updatedTime",(new Date).getTime()),r&&this._syncRemoteData(),this._setUserParams(i),!0},getParamTTL:function(t){const e=this.getConfig().paramTTL??{},r=t in e?e[t]:e.default??365;return 24*Math.max(0,Number(r)||0)*60*60*1e3},isParamExpired:function(t,e){const r=this.getParamTTL(t),i=e?.[t]?.time;return r>0&&!!i&&(new Date).getTime()-i>r},_pruneExpiredParams:function(t,e){const r=[];for(let i in t)this.isParamExpired(i,e)&&(r.push({param:i,value:t[i]}),delete t[i],delete e[i]);for(let t in e)e[t]?.deleted&&this.isParamExpired(t,e)&&delete e[t];return r},getFirstTouch:function(){return this._pruneTouchpoint(this.getData("firstTouch"))},getLastTouch:function(){return this._pruneTouchpoint(this.getData("lastTouch"))},getTouchpoints:function(){const t=this.getData("touchpoints");return Array.isArray(t)?t.map(t=>this._pruneTouchpoint(t)):[]},_pruneTouchpoint:function(t){if(!t?.params||"object"!=typeof t.params)return t??null;const e={...t.params},r={};for(const i in e)r[i]={time:t.timestamp};return this._pruneExpiredParams(e,r),{...t,params:e}},_recordTouchpoint:function(t){if(this.touchpointCaptured||!t||!Object.keys(t).length)return!1;const e={timestamp:(new Date).getTime(),params:t,landingURL:this.utilSanitizeString(window.location.origin+window.location.pathname),referrer:this.utilSanitizeString(document.referrer)},r=this.getLastTouch();if(r&&r.landingURL===e.landingURL&&JSON.stringify(r.params)===JSON.stringify(e.params))return this.touchpointCaptured=!0,!1;const i=this._getOption("maxTouchpoints"),n=[...this.getTouchpoints(),e].slice(-Math.max(1,i));return this.getFirstTouch()||this.storeData("firstTouch",e),!!this.storeData("lastTouch",e)&&(this.storeData("touchpoints",n),this.touchpointCaptured=!0,this.triggerEvent(window,"tagger:touchpointRecorded",[e]),!0)},getSession:function(){const t=this.getData("session");return t&&!this._isSessionExpired(t)?t:null},_isSessionExpired:function(t){const e=this._getOption("sessionTimeout");return(new Date).getTime()-(t.lastActivity||0)>e},_trackPageView:function(t){if(this.pageViewTracked)return;const e=this.getSession(),r=e&&Object.keys(t??{}).length>0&&JSON.stringify(e.params)!==JSON.stringify(t);!e||r?this._startSession(t):(e.pageViews++,e.lastActivity=(new Date).getTime(),this._writeData("session",e)),this.pageViewTracked=!0},_startSession:function(t){const e=(new Date).getTime(),r=this.getData("session"),i={id:this.utilUUIDv7(),count:(r?.count??0)+1,startTime:e,lastActivity:e,landingURL:this.utilSanitizeString(window.location.origin+window.location.pathname),referrer:this.utilSanitizeString(document.referrer),params:{...t??{}},pageViews:1};return this._writeData("session",i),console.log("[Tagger] Session started:",i.count),this.triggerEvent(window,"tagger:sessionStart",[i]),i},_touchSession:function(){const t=this.getSession();return t?(t.lastActivity=(new Date).getTime(),this._writeData("session",t),t):this._startSession({})},track:function(t,e={},r={}){if(!(t=this.utilSanitizeString(t))||t.length>100)return console.error("[Tagger] Invalid event name."),null;const i={id:this.utilUUIDv4(),name:t,time:(new Date).getTime(),...this._getEventContext(),properties:this.utilSanitizeProperties(e)},n=Number(r?.value);return null!=r?.value&&""!==r?.value&&isFinite(n)&&(i.value=n),"string"==typeof r?.currency&&/^[a-z]{3}$/i.test(r.currency)&&(i.currency=r.currency.toUpperCase()),this.hasConsent("analytics")&&(this.eventBatch.push(i),this._scheduleEventBatch()),this.triggerEvent(window,"tagger:track",[i]),i},_getEventContext:function(){const t=this._touchSession(),e={userID:this.currentUserID??this.getData("userID"),sessionID:t?.id??null,sessionCount:t?.count??null,params:{...this.currentUserParams??{}},url:window.location.href},r=this.getData("externalID");return r&&(e.externalID=r),e},_scheduleEventBatch:function(){const t=this._getOption("eventsBatchSize"),e=this._getOption("eventsBatchDelay");this.eventBatch.length>=t?this._flushEvents():this.eventBatchTimer||(this.eventBatchTimer=setTimeout(()=>this._flushEvents(),e))},_flushEvents:function(t=!0){clearTimeout(this.eventBatchTimer),this.eventBatchTimer=null;const e=this.eventBatch;if(this.eventBatch=[],!e.length)return;const r=this.getConfig().eventsEndpoint??(this.getConfig().remoteSync?this.getConfig().remoteEndpoint:null);r&&this._sendRemoteRequest("events",{events:e},{endpoint:r,deliver:t})},_trackElement:function(t,e){if(!1===this._getOption("autoTrack"))return;const r={},i=t.id||t.getAttribute("name");if(i&&(r.element=i),"FORM"===t.tagName)r.action=t.getAttribute("action")??"";else{t.href&&(r.href=t.href);const e=t.textContent?.trim();e&&(r.text=e.substring(0,100))}this.track(t.dataset.tgEvent||e,r,{value:t.dataset.tgValue,currency:t.dataset.tgCurrency})},use:function(t){if("function"==typeof t)try{t=t(this)}catch(t){return console.error("[Tagger] Error creating plugin: ",t),this}if(!t||"object"!=typeof t)return console.error("[Tagger] Invalid plugin."),this;if(this.plugins.includes(t)||t.name&&this.plugins.some(e=>e.name===t.name))return console.warn("[Tagger] Plugin already registered:",t.name),this;if(this.plugins.push(t),console.log("[Tagger] Plugin registered:",t.name??"(anonymous)"),this.ready&&"function"==typeof t.init)try{t.init(this)}catch(e){console.error("[Tagger] Error in the init hook of the "+(t.name??"anonymous")+" plugin: ",e)}return this},_runHook:function(t,e,...r){for(const i of this.plugins)if("function"==typeof i[t])try{const n=i[t](e,...r);if(!1===n)return!1;void 0!==n&&(e=n)}catch(e){console.error("[Tagger] Error in the "+t+" hook of the "+(i.name??"anonymous")+" plugin: ",e)}return e},getIntegrationsConfig:function(){const t=this.getConfig().integrations??{},e={};for(const r in t)t[r]&&(e[r]=!0===t[r]?{}:t[r]);return e},_setupIntegrations:function(){if(this.integrations)return;this.integrations=[];const t=this.getIntegrationsConfig();for(const e in t){const r=this._createIntegration(e,t[e]);r?this.integrations.push(r):console.warn("[Tagger] Unknown integration:",e)}if(!this.integrations.length)return;const e=(t,...e)=>{this.integrations.forEach(r=>{if(this.hasConsent(r.purpose))try{r[t]?.(this._getIntegrationContext(),...e)}catch(t){console.error("[Tagger] Error in the "+r.name+" integration: ",t)}})};this.on("tagger:init",()=>e("init")),this.on("tagger:touchpointRecorded",()=>setTimeout(()=>e("params"),0)),this.on("tagger:identify",()=>e("identify")),this.on("tagger:track",([t])=>e("track",t))},_getIntegrationContext:function(){return{userID:this.currentUserID??this.getData("userID"),externalID:this.getData("externalID"),sessionID:this.getSession()?.id??null,...this.getData("userParams")??{}}},_mapIntegrationFields:function(t,e,r){const i={};for(const n in t){const s=n in e?e[n]:r&&n;s&&null!==t[n]&&void 0!==t[n]&&""!==t[n]&&(i[s]=t[n])}return i},_getIntegrationEventData:function(t){const e={...t.properties};return void 0!==t.value&&(e.value=t.value),t.currency&&(e.currency=t.currency),e},_createIntegration:function(t,e){switch(t){case"dataLayer":{const r={userID:"tagger_user_id",externalID:"tagger_external_id",sessionID:"tagger_session_id",...e.fields},i={init:"tagger_init",params:"tagger_params",identify:"tagger_identify",...e.events},n=(t,r)=>{if(!t)return;const i=e.name??"dataLayer";window[i]=window[i]||[],window[i].push({event:t,...r})};return{name:t,purpose:"analytics",init:t=>n(i.init,this._mapIntegrationFields(t,r,!0)),params:t=>n(i.params,this._mapIntegrationFields(t,r,!0)),identify:t=>n(i.identify,this._mapIntegrationFields(t,r,!0)),track:(t,e)=>n(e.name,{tagger_event_id:e.id,...this._mapIntegrationFields(t,r,!0),...this._getIntegrationEventData(e)})}}case"gtag":{const r={userID:"tagger_user_id",...e.fields},i=(...t)=>"function"==typeof window.gtag&&window.gtag(...t),n=t=>{i("set","user_properties",this._mapIntegrationFields(t,r,!1)),t.externalID&&!1!==e.userID&&i("set",{user_id:t.externalID})};return{name:t,purpose:"analytics",init:n,params:n,identify:n,track:(t,e)=>i("event",e.name,this._getIntegrationEventData(e))}}case"metaPixel":{const r={userID:"external_id",...e.fields},i=(...t)=>"function"==typeof window.fbq&&window.fbq(...t),n=t=>{e.pixelID&&i("init",e.pixelID,this._mapIntegrationFields(t,r,!1))};return{name:t,purpose:"ads",init:n,identify:n,track:(t,e)=>i("trackCustom",e.name,this._getIntegrationEventData(e),{eventID:e.id})}}case"tiktokPixel":{const r={userID:"external_id",...e.fields},i=()=>"function"==typeof window.ttq?.track?window.ttq:null,n=t=>i()?.identify?.(this._mapIntegrationFields(t,r,!1));return{name:t,purpose:"ads",init:n,identify:n,track:(t,e)=>i()?.track(e.name,this._getIntegrationEventData(e),{event_id:e.id})}}default:return null}},getLinkerConfig:function(){const t=this.getConfig().linker;return t?{param:t.param??"_tgl",maxAge:t.maxAge??12e4}:null},createLinkerToken:function(){const t=this.getUserID();if(!t)return null;const e=(new Date).getTime().toString(36),r=this._getForwardableParams(),i=this.getData("userParamsMeta")??{},n={};for(const t in r)"number"==typeof i[t]?.time&&(n[t]=i[t].time);const s=this.utilBase64URLEncode(JSON.stringify({id:t,p:r,t:n})),a=this.utilHash(["1",e,s,navigator.userAgent].join("."));return["1",e,s,a].join(".")},_parseLinkerToken:function(t){const e=this.getLinkerConfig(),[r,i,n,s]=(t??"").split(".");if("1"!==r||!i||!n||!s)return null;if(this.utilHash([r,i,n,navigator.userAgent].join("."))!==s)return console.warn("[Tagger] Linker token checksum mismatch."),null;const a=parseInt(i,36),o=(new Date).getTime()-a;if(!a||o<0||o>e.maxAge)return console.warn("[Tagger] Linker token expired."),null;try{const t=JSON.parse(this.utilBase64URLDecode(n)),e=this.utilSanitizeString(t?.id);if(!e)return null;const r={},i={},s=this.getTrackedParams();for(const e in t.p??{})if(s.includes(e)){r[e]=this.utilSanitizeString(t.p[e]);const n=t.t?.[e];i[e]="number"==typeof n&&n>0?Math.min(n,a):a}return{userID:e,userParams:r,paramTimes:i,time:a}}catch(t){return console.warn("[Tagger] Error decoding linker token: ",t),null}},_adoptLinkerIdentity:async function(){const t=this.getLinkerConfig(),e=t?this.utilGetParamFromURL(t.param):null;if(!e)return!1;try{const e=new URL(window.location.href);e.searchParams.delete(t.param),window.history.replaceState(window.history.state,"",e.href)}catch(t){console.warn("[Tagger] Unable to remove the linker token from the URL: ",t)}const r=this._parseLinkerToken(e);if(!r)return!1;const i=(new Date).getTime(),n=this.getData("userParams")??{},s=this.getData("userParamsMeta")??{};for(const t in r.userParams)t in n||(n[t]=r.userParams[t],s[t]={time:r.paramTimes[t],origin:"linker"});let a=this.getData("userID");!a&&this.getConfig().remoteSync&&this.getConfig().remoteEndpoint&&(a=await this._retrieveUserID());const o=a??r.userID;return a?a!==r.userID&&this._linkAlias(r.userID,a):this.storeData("userID",r.userID),this.storeData("userParams",n),this.storeData("userParamsMeta",s),this.storeData("updatedTime",i),this.getData("userCreateTime")||this.storeData("userCreateTime",r.time),console.log("[Tagger] Linker identity adopted:",o),this.triggerEvent(window,"tagger:linkerAdopted",[o,r.userID]),!0},_refreshLinkerToken:function(t){const e=this.getLinkerConfig(),r=t?.getAttribute("href");if(e&&r)try{const i=new URL(r,window.location.href);if(!i.searchParams.has(e.param))return;const n=this.createLinkerToken();n&&(i.searchParams.set(e.param,n),t.setAttribute("href",i.href))}catch(t){console.error("[Tagger] Error refreshing linker token: ",t)}},getFormFields:function(){const t=this.getConfig().formFields??{};if(!1===t)return{};const e=this._getInstanceNamespace(),r={user_id:e+"user_id"};this.getTrackedParams().forEach(t=>{r[t]=e+t}),r.first_touch=e+"tg_first_touch",r.last_touch=e+"tg_last_touch",r.referrer=e+"tg_referrer";for(const e in t)t[e]?r[e]=t[e]:delete r[e];return r},getFormFieldValue:function(t){switch(t){case"user_id":return this.getUserID()??"";case"first_touch":return this.getFirstTouch()?JSON.stringify(this.getFirstTouch()):"";case"last_touch":return this.getLastTouch()?JSON.stringify(this.getLastTouch()):"";case"referrer":return this.getUserReferrer();default:return this.getUserParams(!1)[t]??""}},injectFormFields:function(t){let e=this.getFormFields();const r=t.dataset?.tgFields;if(r){const t=r.split(",").map(t=>t.trim());e=Object.fromEntries(Object.entries(e).filter(([e])=>t.includes(e)))}const i={},n={};for(const t in e)i[e[t]]=this.getFormFieldValue(t),n[e[t]]=t;const s=this._runHook("formSubmit",i,t);if(s)for(const e in s){let r=Array.from(t.elements).find(t=>t.name===e);r&&"hidden"!==r.type||(r||(r=document.createElement("input"),r.type="hidden",r.name=e,r.setAttribute("data-tg-field",n[e]??e),t.appendChild(r)),r.value=s[e]??"")}},getConsent:function(){const t=this._getOption("honorPrivacySignals")&&this.utilHasPrivacySignal();return this.getConfig().requireConsent?(null===this.consent&&(this.consent=this.getData("consent")??{}),{storage:!0===this.consent.storage,analytics:!0===this.consent.analytics&&!t,ads:!0===this.consent.ads&&!t}):{storage:!0,analytics:!t,ads:!t}},hasConsent:function(t){return!0===this.getConsent()[t]},setConsent:function(t={}){const e=this.getConsent(),r={...this.consent??{}};["storage","analytics","ads"].forEach(e=>{"boolean"==typeof t?.[e]&&(r[e]=t[e])}),this.consent=r,this.storeData("consent",r);const i=this.getConsent();return i.storage&&!e.storage?this._flushMemoryStore():!1===t?.storage&&(this.memoryStore={},e.storage&&this._clearPersistentData()),i.analytics&&!e.analytics&&this._syncRemoteData(),console.log("[Tagger] Consent updated:",i),this.triggerEvent(window,"tagger:consentChanged",[i]),i},_flushMemoryStore:function(){const t=this._getStorageBackend("memory"),e=this._getConfiguredStorageAdapters();t.keys().forEach(r=>{e.forEach(e=>{e!==t&&e.set(r,t.get(r))})}),e.includes(t)||(this.memoryStore={})},_clearPersistentData:function(){const t=this.getStoragePrefix(),e=e=>e.startsWith(t)&&e!==t+"consent";this._getConfiguredStorageAdapters().forEach(t=>{t.keys().filter(e).forEach(e=>t.remove(e))})},storeData:function(t,e){return this.isLocked()?(console.warn("[Tagger] Can't store data while a sync operation is in progress."),null):this._writeData(t,e)},_writeData:function(t,e){if(this.plugins.length&&!1===(e=this._runHook("storeData",e,t)))return null;const r=t;t=this.getStoragePrefix()+t;try{const i=JSON.stringify(e);if(!i)return console.error("[Tagger] Unable to stringify value for key:",t,e),null;const n=btoa(encodeURIComponent(i));return this._getStorageAdapters(t).forEach(e=>{e.set(t,n)}),this._notifyChange(r),e}catch(t){console.error("[Tagger] Error storing data: ",t)}},getData:function(t){t=this.getStoragePrefix()+t;try{let e=null;const r=[];for(const i of this._getStorageAdapters(t)){if(e=i.get(t),e)break;r.push(i)}if(e&&r.forEach(r=>r.set(t,e)),e)try{const t=decodeURIComponent(atob(e)),r=JSON.parse(t);if(r&&("object"==typeof r||"string"==typeof r||"number"==typeof r))return r}catch(e){console.warn("[Tagger] Error decoding or parsing data for key:",t,e)}return null}catch(e){return console.error("[Tagger] Error retrieving data for key:",t,e),null}},_getStorageAdapters:function(t){if(t!==this.getStoragePrefix()+"consent"&&!this.hasConsent("storage"))return[this._getStorageBackend("memory")];const e=this._getConfiguredStorageAdapters();if(!this.LOCAL_ONLY_KEYS.includes(t.slice(this.getStoragePrefix().length)))return e;const r=e.filter(t=>t!==this.storageBackends.cookie);return r.length?r:[this._getStorageBackend("localStorage")]},_getConfiguredStorageAdapters:function(){let t=this._getOption("storage");"string"==typeof t&&(t=t.split("+"));const e=[];return(Array.isArray(t)?t:[t]).forEach(t=>{const r="string"==typeof t?this._getStorageBackend(t.trim()):t;this.utilIsStorageAdapter(r)?e.push(r):"string"!=typeof t&&console.warn("[Tagger] Invalid storage adapter:",t)}),e.length||e.push(this._getStorageBackend("memory")),e},_getStorageBackend:function(t){return t in this.storageBackends||(this.storageBackends[t]=this._createStorageBackend(t),this.storageBackends[t]||console.warn("[Tagger] Unknown storage backend:",t)),this.storageBackends[t]},_createStorageBackend:function(t){switch(t){case"cookie":{const t={get:t=>this.utilGetCookie(t),set:(e,r)=>{r.length>3800?null!==this.utilGetCookie(e)&&t.remove(e):this.utilSetCookie(e,r,365)},remove:t=>this.utilSetCookie(t,"",-1),keys:()=>document.cookie.split(";").map(t=>t.split("=")[0].trim()).filter(Boolean)};return t}case"localStorage":case"sessionStorage":{const e=()=>window[t];return{get:t=>e()?.getItem(t)??null,set:(t,r)=>e()?.setItem(t,r),remove:t=>e()?.removeItem(t),keys:()=>Object.keys(e()??{})}}case"memory":return{get:t=>this.memoryStore[t]??null,set:(t,e)=>{this.memoryStore[t]=e},remove:t=>{delete this.memoryStore[t]},keys:()=>Object.keys(this.memoryStore)};case"indexedDB":return this._createIndexedDBBackend();default:return null}},_createIndexedDBBackend:function(){const t={};let e=null,r=null;const i=(t,r)=>{if(e)try{r(e.transaction("data",t).objectStore("data"))}catch(t){console.error("[Tagger] IndexedDB error: ",t)}};return{load:()=>r||(r=new Promise(r=>{if(!window.indexedDB)return r();const n=window.indexedDB.open(this._getInstanceNamespace()+"tagger",1);n.onupgradeneeded=()=>n.result.createObjectStore("data"),n.onerror=()=>r(),n.onsuccess=()=>{e=n.result,i("readwrite",e=>{for(const r in t)e.put(t[r],r)});try{const i=e.transaction("data","readonly").objectStore("data").openCursor();i.onerror=()=>r(),i.onsuccess=()=>{const e=i.result;if(!e)return r();e.key in t||(t[e.key]=e.value),e.continue()}}catch(t){console.error("[Tagger] IndexedDB error: ",t),r()}}}),r),get:e=>t[e]??null,set:(e,r)=>{t[e]=r,i("readwrite",t=>t.put(r,e))},remove:e=>{delete t[e],i("readwrite",t=>t.delete(e))},keys:()=>Object.keys(t)}},_loadStorage:async function(){const t=this._getConfiguredStorageAdapters().filter(t=>"function"==typeof t.load);await Promise.all(t.map(t=>t.load()))},sync:async function(){await this._syncRemoteData()},_syncRemoteData:async function(t=!1){if(!this.getConfig().remoteSync||!this.getConfig().remoteEndpoint)return;if(!await this.isLeaderTab())return void this._broadcast({type:"syncRequest",forceUpdate:t});const e=await this._acquireSyncLock();if(e)try{await this._runRemoteSync(t)}finally{e()}else console.warn("[Tagger] Sync operation already in progress.")},_runRemoteSync:async function(t=!1){const e=this.getConfig();if(!e?.remoteSync||!e?.remoteEndpoint)return;if(!this.hasConsent("analytics"))return;const r=e.remoteEndpoint,i=this._getOption("remoteSyncEmptyParams");if(!r?.startsWith("https://"))return void console.error("[Tagger] Remote endpoint must be HTTPS.");if(this.isLocked())return void console.warn("[Tagger] Sync operation already in progress.");this.lock();const n=this.syncGeneration,s=()=>n!==this.syncGeneration&&(console.log("[Tagger] Remote sync ignored, the local state changed."),!0),a=this._getSyncableData(),o=Object.keys(a).length>=2;if(o&&!i&&!a?.userParams)return console.info("[Tagger] No user params to sync."),void this.unlock();try{let e=o&&!t?"GET_CHECK":"GET_FULL";o&&(t||this.isLocalDataNewer(a))?e="POST":o&&!this.isLocalDataNewer(a)&&(e="GET_CHECK");let i=null,n=r;if("POST"===e){const t=await this._prepareRemotePayload(a);if(s())return;if(!t)return console.log("[Tagger] Remote sync vetoed by a plugin."),void this.unlock();const e=this._enqueueRequest("sync",n,t);if(i=await this._deliverRequest(e),s())return;if(i)if(i.updated)this.unlock(),this.storeData("remoteUpdatedTime",i.updatedTime||0),console.log("[Tagger] Synced remote data.");else if(i.data){this.unlock();const e=await this._receiveRemoteData(i,{nonce:t.nonce,userID:a.userID});if(s())return;e&&this.isRemoteDataNewer(e)?(this._applyRemoteData(e),console.log("[Tagger] Synced remote data.")):e&&this.storeData("remoteUpdatedTime",i.updatedTime||0)}else console.warn("[Tagger] No remote data available.");else console.error("[Tagger] Remote sync POST failed, it will be retried.");return void this.unlock()}{if("GET_CHECK"===e){const t=a.updatedTime||a.userParams?.timestamp||0;t&&(n=this.utilAppendURLParam(n,"updatedTime",t))}const r=this.utilRandomHex();n=this.utilAppendURLParam(n,"nonce",r);const o={"X-Tagger-Protocol":String(this.PROTOCOL_VERSION)};a.userID&&(n=this.utilAppendURLParam(n,"userID",a.userID),o["X-Tagger-Key"]=this._getSyncKey());const c=await this.utilGetUserIp(),u=await fetch(this.utilAppendURLParam(n,"ip",c),{method:"GET",headers:o});if(s())return;if(u.ok){if(i=await u.json(),i.data){const e=await this._receiveRemoteData(i,{nonce:r,userID:a.userID});if(s())return;if(e&&this.isRemoteDataNewer(e)){this.unlock();const r=this._applyRemoteData(e);console.log("[Tagger] Synced remote data."),r&&!t&&await this._runRemoteSync(!0)}else console.log("[Tagger] Remote data is not newer or is invalid.")}else if(!i.updated&&"GET_CHECK"===e){const t=a.updatedTime||a.userParams?.timestamp||0;t>(i.updatedTime||0)&&(this.unlock(),await this._runRemoteSync(!0))}}else console.error("[Tagger] Remote sync GET failed:",u.statusText)}}catch(t){console.error("[Tagger] Remote sync communication error: ",t)}n===this.syncGeneration&&this.unlock()},_setupCrossTab:function(){this.tabID||!1===this._getOption("crossTab")||(this.tabID=(new Date).getTime().toString(36)+Math.random().toString(36).slice(2,8),this.leader=!1,"undefined"!=typeof BroadcastChannel?(this.broadcastChannel=new BroadcastChannel(this.getStoragePrefix()+"broadcast"),this.broadcastChannel.onmessage=t=>this._onBroadcastMessage(t.data)):window.addEventListener("storage",t=>{if(t.key===this.getStoragePrefix()+"broadcast"&&t.newValue)try{this._onBroadcastMessage(JSON.parse(t.newValue))}catch(t){console.warn("[Tagger] Invalid cross-tab message: ",t)}}),this._electLeader())},_broadcast:function(t){if(this.tabID){t={...t,tab:this.tabID};try{this.broadcastChannel?this.broadcastChannel.postMessage(t):this.hasConsent("storage")&&localStorage.setItem(this.getStoragePrefix()+"broadcast",JSON.stringify({...t,nonce:Math.random()}))}catch(t){console.warn("[Tagger] Unable to reach the other tabs: ",t)}}},_onBroadcastMessage:function(t){t&&t.tab!==this.tabID&&("change"===t.type&&Array.isArray(t.keys)?this._onExternalChange(t.keys):"syncRequest"===t.type&&this.leader?this._syncRemoteData(!0===t.forceUpdate):"outbox"===t.type&&this.leader&&this._flushOutbox())},_notifyChange:function(t){this.tabID&&!this.applyingExternalChange&&"outbox"!==t&&(this.pendingChangeKeys.add(t),this.pendingChangeKeys.size>1||setTimeout(()=>{const t=[...this.pendingChangeKeys];this.pendingChangeKeys.clear(),this._broadcast({type:"change",keys:t})},0))},_onExternalChange:function(t){this.applyingExternalChange=!0;try{t.includes("consent")&&(this.consent=null),this._setUserID(this.getData("userID")??this.currentUserID),this._setUserParams(this.getUserParams(!1))}finally{this.applyingExternalChange=!1}this.triggerEvent(window,"tagger:externalChange",[t])},isLeaderTab:async function(){return!this.tabID||(await this._electLeader(),this._isSyncTab())},_isSyncTab:function(){return this.leader||!this._sharesStorageWithLeader()},_sharesStorageWithLeader:function(){const t=t=>t!==this.storageBackends.memory&&t!==this.storageBackends.sessionStorage;return["userID","outbox"].every(e=>this._getStorageAdapters(this.getStoragePrefix()+e).some(t))},_electLeader:function(){if(this.leaderElection)return this.leaderElection;const t=this.getStoragePrefix()+"leader";return this.leaderElection=new Promise(e=>{const r=()=>(this._becomeLeader(),new Promise(()=>{}));if(navigator.locks?.request)return void navigator.locks.request(t,{ifAvailable:!0},i=>{if(i)return e(),r();this.leader=!1,e(),navigator.locks.request(t,r)});const i=()=>{if(this.hasConsent("storage"))try{const e=(new Date).getTime(),r=JSON.parse(localStorage.getItem(t)??"null");!r||r.tab===this.tabID||r.expires<e?(localStorage.setItem(t,JSON.stringify({tab:this.tabID,expires:e+5e3})),this.leader||this._becomeLeader()):this.leader=!1}catch(t){this.leader||this._becomeLeader()}else this.leader||this._becomeLeader()};i(),setInterval(i,2e3),window.addEventListener("pagehide",()=>{this.leader&&this.hasConsent("storage")&&localStorage.removeItem(t)}),e()}),this.leaderElection},_becomeLeader:function(){this.leader=!0,console.log("[Tagger] This tab is the sync leader."),this._scheduleOutbox()},_acquireSyncLock:async function(){const t=this.getStoragePrefix()+"syncLock";if(navigator.locks?.request)return new Promise(e=>{navigator.locks.request(t,{ifAvailable:!0},t=>{if(t)return new Promise(t=>e(t));e(null)})});if(!this.hasConsent("storage"))return()=>{};try{const e=(new Date).getTime(),r=JSON.parse(localStorage.getItem(t)??"null");if(r&&r.expires>e)return null;const i=Math.random().toString(36).slice(2);return localStorage.setItem(t,JSON.stringify({id:i,expires:e+3e4})),()=>{JSON.parse(localStorage.getItem(t)??"null")?.id===i&&localStorage.removeItem(t)}}catch(t){return()=>{}}},_getOutbox:function(){const t=this.getData("outbox");return Array.isArray(t)?t:[]},_saveOutbox:function(t){const e=t.filter(t=>"forget"===t.type),r=t.filter(t=>"forget"!==t.type);this._writeData("outbox",[...e,...r.slice(-Math.max(0,50-e.length))])},_enqueueRequest:function(t,e,r){const i={id:(new Date).getTime().toString(36)+Math.random().toString(36).slice(2,8),type:t,url:e,body:JSON.stringify(r),attempts:0,nextAttempt:(new Date).getTime()};let n=this._getOutbox();return"sync"===t&&(n=n.filter(t=>"sync"!==t.type)),n.push(i),this._saveOutbox(n),i},_dequeueRequest:function(t){this._saveOutbox(this._getOutbox().filter(e=>e.id!==t))},_deliverRequest:async function(t){if(this.deliveringRequests.has(t.id))return null;this.deliveringRequests.add(t.id);try{const e=await fetch(t.url,{method:"POST",headers:{"Content-Type":"application/json","X-Tagger-Protocol":String(this.PROTOCOL_VERSION)},body:t.body});if(!e.ok)throw new Error(e.statusText||"HTTP "+e.status);const r=await e.json().catch(()=>null)??{};if(!this._isRequestAcknowledged(t,r))throw new Error("Request not acknowledged");return this._dequeueRequest(t.id),r}catch(e){return console.warn("[Tagger] Request delivery failed: ",e),this._retryRequest(t),null}finally{this.deliveringRequests.delete(t.id)}},_retryRequest:function(t){const e="forget"===t.type?this._getOption("maxForgetRetries"):this._getOption("maxRetries"),r=this._getOption("retryDelay"),i=this._getOutbox(),n=i.find(e=>e.id===t.id);if(!n)return;if(n.attempts++,n.attempts>e){if(console.warn("[Tagger] Request dropped after too many attempts:",n.type),this._saveOutbox(i.filter(t=>t!==n)),"forget"===n.type){const t=this._decodeRemoteData(JSON.parse(n.body).data);this.triggerEvent(window,"tagger:forgetFailed",[t?.userID])}return}const s=Math.min(r*2**(n.attempts-1),3e5);n.nextAttempt=(new Date).getTime()+s,this._saveOutbox(i),this._scheduleOutbox()},_scheduleOutbox:function(){clearTimeout(this.outboxTimer);const t=this._getOutbox();if(!t.length)return;const e=Math.min(...t.map(t=>t.nextAttempt||0));this.outboxTimer=setTimeout(async()=>{await this._flushOutbox()},Math.max(0,e-(new Date).getTime()))},_flushOutbox:async function(t=!1){if(!this.outboxFlushing&&this._isSyncTab()&&!1!==navigator.onLine){this.outboxFlushing=!0;try{const e=(new Date).getTime();for(const r of this._getOutbox()){if(!this._canDeliverRequest(r)||this.deliveringRequests.has(r.id))continue;if(!t&&r.nextAttempt>e)continue;const i=await this._deliverRequest(r);i&&this._onRequestDelivered(r,i)}}finally{this.outboxFlushing=!1}this._scheduleOutbox()}},_onRequestDelivered:function(t,e){if("sync"===t.type&&e.updated)this.storeData("remoteUpdatedTime",e.updatedTime||0);else if("forget"===t.type){const r=this._decodeRemoteData(JSON.parse(t.body).data);console.log("[Tagger] Remote erasure acknowledged:",r?.userID),this.triggerEvent(window,"tagger:forgotten",[r?.userID,e])}},_canDeliverRequest:function(t){return"forget"===t.type||this.hasConsent("analytics")},_isRequestAcknowledged:function(t,e){return"forget"!==t.type||!0===e?.deleted},_flushOutboxOnHide:function(){this._isSyncTab()&&this._getOutbox().filter(t=>this._canDeliverRequest(t)).filter(t=>!this.deliveringRequests.has(t.id)&&!this.hideSentRequests.has(t.id)).forEach(t=>{this.deliveringRequests.add(t.id),this.hideSentRequests.add(t.id);const e=()=>{const e=new Blob([t.body],{type:"text/plain"});navigator.sendBeacon?.(t.url,e)&&"forget"!==t.type&&this._dequeueRequest(t.id)};let r;try{r=fetch(t.url,{method:"POST",headers:{"Content-Type":"application/json","X-Tagger-Protocol":String(this.PROTOCOL_VERSION)},body:t.body,keepalive:!0})}catch(t){r=Promise.reject(t)}r.then(async e=>{const r=e.ok?await e.json().catch(()=>({})):null;r&&this._isRequestAcknowledged(t,r)&&(this._dequeueRequest(t.id),this._onRequestDelivered(t,r))},()=>e()).catch(()=>{}).finally(()=>this.deliveringRequests.delete(t.id))})},_getSyncKey:function(){let t=this.getData("syncKey");return"string"==typeof t&&t||(t=this._writeData("syncKey",this.utilRandomHex(32))),t},_prepareRemotePayload:async function(t){const e=await this.utilGetUserIp(),r=this._runHook("beforeSync",{...t,userAgent:this.getUserAgent(),userReferrer:this.getUserReferrer(),userIP:e});return r?{v:this.PROTOCOL_VERSION,key:this._getSyncKey(),data:this._encodeRemoteData(r),nonce:this.utilRandomHex()}:null},_encodeRemoteData:function(t){const e=JSON.stringify(t),r=(new TextEncoder).encode(e);let i="";for(let t=0;t<r.byteLength;t++)i+=String.fromCharCode(r[t]);return btoa(i)},_sendRemoteRequest:function(t,e,r={}){const i=r.endpoint??(this.getConfig().remoteSync?this.getConfig().remoteEndpoint:null);if(!i||!this._canDeliverRequest({type:t}))return null;const n=r.key??this._getSyncKey(),s=this._enqueueRequest(t,i,{v:this.PROTOCOL_VERSION,type:t,key:n,data:this._encodeRemoteData(e)});return this._isSyncTab()?(r.deliver??!0)&&this._flushOutbox():this._broadcast({type:"outbox"}),s},_getSyncableData:function(){const t={},e=this.getData("userID"),r=this.getData("userParams"),i=this.getData("userParamsMeta"),n=this.getData("userCreateTime"),s=this.getData("updatedTime"),a=this.getFirstTouch(),o=this.getLastTouch(),c=this.getTouchpoints();e&&(t.userID=e),r&&(t.userParams={...r},t.userParamsMeta={...i},this._pruneExpiredParams(t.userParams,t.userParamsMeta)),n&&(t.userCreateTime=n),s&&(t.updatedTime=s),a&&(t.firstTouch=a),o&&(t.lastTouch=o),c.length&&(t.touchpoints=c);const u=this.getSession();u&&(t.session=u);const g=this.getIdentity();return g.externalID&&(t.externalID=g.externalID,t.aliases=g.aliases,t.traits=g.traits),t},isLocalDataNewer:function(t){return(t.updatedTime||t.userParams?.timestamp||0)>(this.getData("remoteUpdatedTime")||0)},isRemoteDataNewer:function(t){const e=this.getData("updatedTime")||this.getData("userParams")?.timestamp||0;return(t.updatedTime||t.userParams?.timestamp||0)>e},_decodeRemoteData:function(t){try{const e=(new TextDecoder).decode(this.utilBase64ToBytes(t));return JSON.parse(e)}catch(t){return console.error("[Tagger] Error decoding or parsing remote data: ",t),null}},_receiveRemoteData:async function(t,e){const r=t=>(console.error("[Tagger] Remote data rejected:",t),this.triggerEvent(window,"tagger:syncRejected",[t]),null);if("string"!=typeof t?.data)return r("Missing data");if(this.getConfig().syncVerification){const{signature:i,issuedAt:n}=t,s=[e.nonce,e.userID??"",n,t.data].join(".");if("string"!=typeof i||!await this._verifySignature(s,i))return r("Invalid signature");if("number"!=typeof n||Math.abs((new Date).getTime()-n)>this.SIGNATURE_MAX_AGE)return r("Expired signature")}const i=this._decodeRemoteData(t.data);if(!i)return r("Invalid encoding");const{data:n,error:s}=this._validateRemoteData(i);return s?r(s):n},_verifySignature:async function(t,e){const r=this.getConfig().syncVerification,i=r?.algorithm??"Ed25519";if("Ed25519"!==i)return console.error("[Tagger] Unsupported sync verification algorithm:",i),!1;try{const i=this.utilBase64ToBytes(r.key),n=this.utilBase64ToBytes(e),s=(new TextEncoder).encode(t),a=await crypto.subtle.importKey("raw",i,{name:"Ed25519"},!1,["verify"]);return await crypto.subtle.verify({name:"Ed25519"},a,n,s)}catch(t){console.error("[Tagger] Error verifying remote data signature: ",t)}return!1},_validateRemoteData:function(t){if(!t||"object"!=typeof t||Array.isArray(t))return{data:null,error:"Data is not an object"};const e={};for(const r in this.SYNC_SCHEMA){if(void 0===t[r]||null===t[r])continue;const i=this.SYNC_SCHEMA[r],n=t[r];if(!("array"===i?Array.isArray(n):typeof n===i&&!Array.isArray(n)))return{data:null,error:`Invalid type for ${r}, expected ${i}`};e[r]=n}if(void 0!==e.userID&&!/^[\w.:-]{1,128}$/.test(e.userID))return{data:null,error:"Invalid userID"};for(const t in e.userParams??{})if("string"!=typeof e.userParams[t])return{data:null,error:`Invalid value for userParams.${t}`};return{data:e,error:null}},_applyRemoteData:function(t){if(this.isLocked())return console.warn("[Tagger] Sync operation already in progress."),!1;if(!(t=this._runHook("afterSync",t)))return console.log("[Tagger] Remote data vetoed by a plugin."),!1;let e=!1;if(t.userID&&(this._aliasReplacedUserID(t.userID),this.storeData("userID",t.userID),this._setUserID(t.userID)),t.externalID){const e=this.getData("externalID")===t.externalID,r=e?this.getData("aliases")??[]:[];(t.aliases??[]).forEach(t=>{"string"==typeof t?.id&&this._addAlias(r,t.id,t.time)}),this.storeData("externalID",t.externalID),this.storeData("aliases",r),this.storeData("traits",this._mergeTraits(e?this.getData("traits")??{}:{},t.traits))}if(t.userParams){const r=this._mergeUserParams(t);this.storeData("userParams",r.params),this.storeData("userParamsMeta",r.meta),this._setUserParams(r.params),e=r.needsPush,r.conflicts.length&&this.triggerEvent(window,"tagger:syncConflict",[r.conflicts])}return t.firstTouch&&this.storeData("firstTouch",t.firstTouch),t.lastTouch&&this.storeData("lastTouch",t.lastTouch),Array.isArray(t.touchpoints)&&this.storeData("touchpoints",t.touchpoints),t.userCreateTime&&this.storeData("userCreateTime",t.userCreateTime),t.updatedTime&&this.storeData("updatedTime",t.updatedTime),t.updatedTime&&this.storeData("remoteUpdatedTime",t.updatedTime),t.userReferrer&&this.storeData("userReferrer",t.userReferrer),e&&this.storeData("updatedTime",(new Date).getTime()),this.triggerEvent(window,"tagger:remoteSyncApplied"),e},_mergeUserParams:function(t){const e={...this.getData("userParams")??{}},r={...this.getData("userParamsMeta")??{}},i={...t.userParams},n={};for(const e in i)n[e]={time:t.updatedTime||0,origin:"remote"};for(const e in t.userParamsMeta??{}){const r=t.userParamsMeta[e];r&&"object"==typeof r&&"number"==typeof r.time&&(n[e]={...r})}this._pruneExpiredParams(e,r),this._pruneExpiredParams(i,n);const s=(t,e,r)=>r in t?{value:t[r],...e[r],deleted:!1}:e[r]?.deleted?{value:null,...e[r]}:null,a={},o={},c=[];let u=!1;return new Set([...Object.keys(e),...Object.keys(r),...Object.keys(i),...Object.keys(n)]).forEach(t=>{const g=s(e,r,t),l=s(i,n,t);let h=l??g;if(g&&l&&(g.value!==l.value||g.deleted!==l.deleted)&&(h=this.resolveParamConflict(t,g,l),h!==g&&h!==l&&(h={time:(new Date).getTime(),origin:"resolver",...h,deleted:!0===h.deleted}),c.push({param:t,kept:h,discarded:[g,l].filter(t=>t!==h)})),!h)return;h!==l&&(u=!0);const{value:d,deleted:f,...m}=h;o[t]=f?{...m,deleted:!0}:m,f||(a[t]=this.utilSanitizeString(d))}),{params:a,meta:o,conflicts:c,needsPush:u}},resolveParamConflict:function(t,e,r){const i=this._getOption("mergePolicy");if("function"==typeof i)try{const n=i(t,e,r);if(n===e||n===r||!0===n?.deleted||"string"==typeof n?.value)return n;console.warn("[Tagger] Invalid entry returned by the merge policy for",t)}catch(t){console.error("[Tagger] Error in merge policy: ",t)}else{if("first-write-wins"===i)return e.time<r.time?e:r;"last-write-wins"!==i&&console.warn("[Tagger] Unknown merge policy:",i)}return e.time>r.time?e:r},isLocked:function(){return this.SYNC_LOCK},lock:function(){this.SYNC_LOCK=!0},unlock:function(){this.SYNC_LOCK=!1},getInstance:function(){return this},getUserReferrer:function(t=!1){if(!t){const t=this.getData("userReferrer");if(t)return t}const e=document.referrer;return this.setUserReferrer(e),e||""},setUserReferrer:function(t){setTimeout(()=>{this.storeData("userReferrer",t)},1e3)},getUserAgent:function(t=!1){if(!t){const t=this.getData("userAgent");if(t)return t}const e=navigator.userAgent;return setTimeout(()=>{this.storeData("userAgent",e)},1e3),e||""},doParamsSwap:function(t=document){const e=this;e.utilQueryAll(t,".tg-swap-child-href>a").forEach(t=>{t.classList.add("tg-swap-href")});const r=new Set(e.utilQueryAll(t,".tg-swap-href"));e.getDecorateConfig()?.auto&&e.utilQueryAll(t,"a[href]").forEach(t=>{e._getDecorateRule(t.getAttribute("href"))&&r.add(t)});const i=e._getInstanceNamespace()+"tg-swap-href-done";for(const t of r){if(t.classList.contains(i))continue;let r=t.getAttribute("href"),n=e._runHook("decorateLink",e.decorateURL(r),t);t.classList.add(i),n&&(n=e.utilSanitizeURL(n),t.setAttribute("href",n))}},reload:async function(){this._bindEvents(),this._scanDOM(),this._observeDOM(),console.log("[Tagger] Reloaded"),this.triggerEvent(window,"tagger:reload"),this._setReady()},utilQueryAll:function(t,e){const r=Array.from(t.querySelectorAll(e));return t.matches?.(e)&&r.unshift(t),r},utilAppendURLParam:function(t,e,r){try{let i=new URL(t,window.location.href);return i.searchParams.append(e,r),i.href}catch(e){return console.error("[Tagger] Error appending URL param: ",e),t}},getDecorateConfig:function(){const t=this.getConfig().decorate;if(!t)return null;const e=Array.isArray(t)?t:t.rules??[];return{auto:!0===t.auto,rules:e.filter(t=>t?.match)}},_getDecorateRule:function(t){const e=this.getDecorateConfig();if(!e||!t||"#"===t)return null;try{const r=new URL(t,window.location.href);if(!["http:","https:"].includes(r.protocol))return null;const i=t=>[].concat(t.match).some(t=>this.utilMatchHostname(r.hostname,t)),n=e.rules.find(i);return n&&!n.exclude?n:null}catch(t){return null}},decorateURL:function(t){if(!this.getDecorateConfig())return this.utilMoveURLParamsToNewURL(t);const e=this._getDecorateRule(t);if(!e)return t;try{const r={userParams:!0,query:!1,userID:!0,...e.forward??{}},i=(t,e)=>!0===t||Array.isArray(t)&&t.includes(e),n=this.getLinkerConfig(),s=new URL(t,window.location.href),a=(t,e)=>{e&&!s.searchParams.has(t)&&s.searchParams.append(t,e)};if(r.userParams){const t=this._getForwardableParams();for(const e in t)i(r.userParams,e)&&a(e,t[e])}return r.query&&new URLSearchParams(window.location.search).forEach((t,e)=>{"user_id"!==e&&e!==n?.param&&i(r.query,e)&&a(e,t)}),r.userID&&(a("user_id",this.getUserID()),n&&a(n.param,this.createLinkerToken())),s.href}catch(e){return console.error("[Tagger] Error decorating URL: ",e),t}},_getForwardableParams:function(){const t={...this.getUserParams(!1)},e=this.getData("userParamsMeta")??{};for(const r in t)"referrer"===e[r]?.origin&&delete t[r];return t},utilMoveURLParamsToNewURL:function(t,e=!0){if(!t||"#"===t)return t;try{let r=new URLSearchParams(window.location.search),i=new URL(t,window.location.href);const n=this.getLinkerConfig();if(r.forEach((t,e)=>{"user_id"!==e&&e!==n?.param&&i.searchParams.append(e,t)}),e){let t=this.getUserID();i.searchParams.append("user_id",t);const e=n?this.createLinkerToken():null;e&&i.searchParams.append(n.param,e)}return i.href}catch(e){return console.error("[Tagger] Error moving URL params to new URL: ",e),t}},utilGetParamFromURL:function(t){return new URLSearchParams(window.location.search).get(t)},utilGetUserIp:async function(t=!1){t=!!t||this._getOption("forceIPv4");const e=this.getConfig().ipProvider;if(!1===e||!this.hasConsent("analytics"))return"unknown";if(this.cachedIP)return this.cachedIP;let r=this.getData("userIP"),i=this.getData("userIPUpdatedTime")||0;const n=this._getOption("ipCacheDuration");if(r&&this.utilValidateIp(r)&&Date.now()-i<n)return this.cachedIP=r,r;const s=t=>{this.cachedIP=t,setTimeout(()=>{this.storeData("userIP",t),this.storeData("userIPUpdatedTime",Date.now())},1e3)};if("string"==typeof e&&e){try{const t=await fetch(e,{credentials:"same-origin"});if(t.ok){const e=(await t.text()).trim();let r=e;try{r=JSON.parse(e)?.ip??e}catch(t){}if(this.utilValidateIp(r))return s(r),r}}catch(t){console.error("[Tagger] Error retrieving user ip: ",t)}return"unknown"}try{const e=t?"https://api4.ipify.org/?format=json":"https://api.ipify.org?format=json",r=await fetch(e);if(r.ok){const t=await r.json();if(this.utilValidateIp(t.ip))return s(t.ip),t.ip}}catch(e){try{if(t){const t=await fetch("https://ipv4.icanhazip.com/");if(t.ok){const e=(await t.text()).trim();if(this.utilValidateIp(e))return s(e),e}}else{const t=await fetch("https://ipinfo.io/json");if(t.ok){const e=await t.json();if(this.utilValidateIp(e.ip))return s(e.ip),e.ip}}}catch(t){return console.error("[Tagger] Error retrieving user ip: ",t),"unknown"}}},utilClassifyReferrer:function(t){if(!t)return{utm_source:"(direct)",utm_medium:"(none)"};let e;try{e=new URL(t).hostname.toLowerCase().replace(/^www\./,"")}catch(t){return null}const r=this.utilGetCurrentDomain();if(e===r||e.endsWith("."+r))return null;const i=[...this.getConfig().referrerRules??[],...this.REFERRER_RULES].find(t=>this.utilMatchHostname(e,t?.match));return{utm_source:i?.source??e,utm_medium:i?.medium??"referral"}},utilMatchHostname:function(t,e){return"function"==typeof e?.test?e.test(t):!("string"!=typeof e||!e)&&(t=t.toLowerCase(),(e=e.toLowerCase().replace(/^\*\./,"")).includes(".")?t===e||t.endsWith("."+e):t.split(".").includes(e))},utilRandomHex:function(t=16){return Array.from(crypto.getRandomValues(new Uint8Array(t)),t=>t.toString(16).padStart(2,"0")).join("")},utilHash:function(t){let e=2166136261;for(let r=0;r<t.length;r++)e^=t.charCodeAt(r),e=Math.imul(e,16777619);return(e>>>0).toString(36)},utilBase64URLEncode:function(t){const e=(new TextEncoder).encode(t);let r="";for(let t=0;t<e.byteLength;t++)r+=String.fromCharCode(e[t]);return btoa(r).replace(/\+/g,"-").replace(/\//g,"_").replace(/=+$/,"")},utilBase64URLDecode:function(t){return(new TextDecoder).decode(this.utilBase64ToBytes(t))},utilBase64ToBytes:function(t){const e=atob(t.replace(/-/g,"+").replace(/_/g,"/"));return Uint8Array.from(e,t=>t.charCodeAt(0))},utilIsStorageAdapter:function(t){return["get","set","remove","keys"].every(e=>"function"==typeof t?.[e])},utilHasPrivacySignal:function(){return!0===navigator.globalPrivacyControl||"1"===navigator.doNotTrack||"1"===window.doNotTrack},utilValidateIp:function(t){return/^(?:[0-9]{1,3}\.){3}[0-9]{1,3}$|^([0-9a-fA-F]{1,4}:){7,7}[0-9a-fA-F]{1,4}|^([0-9a-fA-F]{1,4}:){1,7}:|^([0-9a-fA-F]{1,4}:){1,6}:[0-9a-fA-F]{1,4}|^([0-9a-fA-F]{1,4}:){1,5}(:[0-9a-fA-F]{1,4}){1,2}|^([0-9a-fA-F]{1,4}:){1,4}(:[0-9a-fA-F]{1,4}){1,3}|^([0-9a-fA-F]{1,4}:){1,3}(:[0-9a-fA-F]{1,4}){1,4}|^([0-9a-fA-F]{1,4}:){1,2}(:[0-9a-fA-F]{1,4}){1,5}|^[0-9a-fA-F]{1,4}:((:[0-9a-fA-F]{1,4}){1,6})|:((:[0-9a-fA-F]{1,4}){1,7}|:)$/.test(t)},utilIsBot:function(){const t=navigator.userAgent.toLowerCase();return["bot","crawl","spider","lighthouse"].some(e=>t.includes(e))},utilUUIDv4:function(){const t=crypto.getRandomValues(new Uint8Array(16));return t[6]=15&t[6]|64,t[8]=63&t[8]|128,this.utilFormatUUID(t)},utilUUIDv7:function(){const t=crypto.getRandomValues(new Uint8Array(16));let e=(new Date).getTime();for(let r=5;r>=0;r--)t[r]=e%256,e=Math.floor(e/256);return t[6]=15&t[6]|112,t[8]=63&t[8]|128,this.utilFormatUUID(t)},utilFormatUUID:function(t){const e=Array.from(t,t=>("00"+t.toString(16)).slice(-2)).join("");return[e.slice(0,8),e.slice(8,12),e.slice(12,16),e.slice(16,20),e.slice(20)].join("-")},utilULID:function(){const t="0123456789ABCDEFGHJKMNPQRSTVWXYZ";let e=(new Date).getTime(),r="";for(let i=0;i<10;i++)r=t[e%32]+r,e=Math.floor(e/32);const i=crypto.getRandomValues(new Uint8Array(16));return r+Array.from(i,e=>t[31&e]).join("")},utilSHA1:async function(t){const e=(new TextEncoder).encode(t),r=await crypto.subtle.digest("SHA-1",e);return Array.from(new Uint8Array(r)).map(t=>("00"+t.toString(16)).slice(-2)).join("")},utilSanitizeProperties:function(t){const e={};for(const r in t??{}){const i=t[r];"string"==typeof i?e[r]=this.utilSanitizeString(i):null===i||"boolean"==typeof i||"number"==typeof i&&isFinite(i)?e[r]=i:console.warn("[Tagger] Ignored property with an unsupported value:",r)}return e},utilSanitizeString:function(t){if(!t||"string"!=typeof t)return"";let e;try{e=decodeURIComponent(t)}catch(r){e=t}return e.trim().replace(/<[^>]*>?/gm,"").replace(/[<>"'`\\]/g,"").replace(/javascript:/gi,"").substring(0,2e3)},utilSanitizeURL:function(t){if(!t)return"";const e=decodeURIComponent(t).trim();return e.startsWith("/")||["http:","https:","tel:","#","/"].some(t=>e.toLowerCase().startsWith(t))?t:(console.warn("[Tagger] Blocked unsafe URL protocol:",t),"#")},utilGetCurrentDomain:function(){const t=window.location.hostname.toLowerCase().replace(/\.$/,"");return this.utilGetRegistrableDomain(t)??t},utilGetRegistrableDomain:function(t){if(!t||!t.includes(".")||t.startsWith("[")||this.utilValidateIp(t))return null;this.publicSuffixes||(this.publicSuffixes=new Set,this.PUBLIC_SUFFIXES.split("|").forEach(t=>{const[e,r]=t.split(":");r.split(",").forEach(t=>this.publicSuffixes.add(t+"."+e))}));const e=t.split(".");for(let t=0;t<e.length;t++){const r=e.slice(t).join(".");if(this.publicSuffixes.has(r)||t===e.length-1)return t>0?e.slice(t-1).join("."):null}return null},utilGetCookieDomain:function(){const t=window.location.hostname.toLowerCase().replace(/\.$/,""),e=this.getConfig().cookieDomain;if(!1===e)return"";if("string"==typeof e&&e){const r=e.toLowerCase().replace(/^\./,"");if(t===r||t.endsWith("."+r))return r;console.warn("[Tagger] cookieDomain does not match the current host:",e)}return this.utilGetRegistrableDomain(t)??""},utilEditDistance:function(t,e){let r=Array.from({length:e.length+1},(t,e)=>e);for(let i=1;i<=t.length;i++){const n=[i];for(let s=1;s<=e.length;s++)n[s]=Math.min(r[s]+1,n[s-1]+1,r[s-1]+(t[i-1]===e[s-1]?0:1));r=n}return r[e.length]},utilSetCookie:function(t,e,r){let i="";if(r){const t=new Date;t.setTime(t.getTime()+24*r*60*60*1e3),i="; expires="+t.toUTCString()}const n=this.utilGetCookieDomain();document.cookie=t+"="+(e||"")+i+(n?"; domain="+n:"")+"; path=/"},utilGetCookie:function(t){const e=t+"=",r=document.cookie.split(";");for(let t=0;t<r.length;t++){let i=r[t];for(;" "===i.charAt(0);)i=i.substring(1,i.length);if(0===i.indexOf(e))return i.substring(e.length,i.length)}return null},triggerEvent:function(t,e,r=[]){const i=new CustomEvent(e,{detail:r});t.dispatchEvent(i),this._emit(e,r)}},TAGGER_STATE=structuredClone(Object.fromEntries(Object.entries(tagger).filter(([,t])=>"function"!=typeof t))),createTagger=(t={})=>({...tagger,...structuredClone(TAGGER_STATE),config:{...t},exposeGlobals:!1}),_taggerAutoInit=()=>{if("undefined"==typeof window||"undefined"==typeof document)return;if(!1===window.taggerConfig?.autoInit)return void console.log("[Tagger] Auto init disabled.");if(window.taggerLoaded||window.__taggerInitInProgress)return void console.log("[Tagger] Already initialized or in progress.");window.__taggerInitInProgress=!0;const t=()=>{try{if(window.taggerLoaded)return;0,window.tagger=tagger,window.tagger.init(),window.taggerLoaded=!0,console.log("[Tagger] Initialized.")}catch(t){console.error("[Tagger] Initialization failed:",t)}finally{window.__taggerInitInProgress=!1}};if("complete"===document.readyState||"interactive"===document.readyState)return void t();const e=setInterval(()=>{"complete"!==document.readyState&&"interactive"!==document.readyState||(clearInterval(e),t())},100)};_taggerAutoInit();export{_taggerAutoInit,createTagger,tagger};
\ No newline at end of file
@@ -0,0 +1,214 @@
+import assert from "node:assert/strict";
+import { Readable } from "node:stream";
+import { test } from "node:test";
+
+import { createTagger } from "../tagger.js";
+import { taggerServer } from "../tagger-server.js";
+
+/**
+ * Builds a Cookie header holding Tagger values, encoded like the browser stores them.
+ * @param {object} values - The values by unprefixed key.
+ * @returns {string} - The Cookie header.
+ */
+const cookieHeader = (values) =>
+    Object.entries(values)
+        .map(([key, value]) => "__tg-" + key + "=" + btoa(encodeURIComponent(JSON.stringify(value))))
+        .join("; ");
+
+// Sync keys of two devices
+const KEY = "a".repeat(64);
+const OTHER_KEY = "b".repeat(64);
+
+const post = (options, payload, key = KEY) =>
+    taggerServer.handleRequest({ method: "POST", url: "/sync", headers: {}, body: JSON.stringify({ ...payload, key }) }, options);
+
+const get = (options, url, key = KEY, ip) =>
+    taggerServer.handleRequest({ method: "GET", url, headers: key ? { "X-Tagger-Key": key } : {}, ip }, options);
+
+const sync = (options, data, request = {}, key = KEY) =>
+    taggerServer.handleRequest(
+        { method: "POST", url: "/sync", headers: {}, body: JSON.stringify({ v: 2, key, data: taggerServer.encode(data) }), ...request },
+        options
+    );
+
+test("readCookies decodes the stored values and the param cookies", () => {
+    const header = cookieHeader({ userID: "tg-1", userParams: { utm_medium: "cpc" } }) + "; __tg-param-utm_source=" + btoa("google");
+    const data = taggerServer.readCookies(header);
+
+    assert.equal(data.userID, "tg-1");
+    assert.deepEqual(data.userParams, { utm_source: "google", utm_medium: "cpc" });
+});
+
+test("GET finds the user through its ID and key, and never through the ip param", async () => {
+    const options = { store: taggerServer.createMemoryStore() };
+    await sync(options, { userID: "tg-1", userParams: { utm_source: "a" }, updatedTime: 1, userIP: "1.2.3.4" });
+
+    const byID = JSON.parse((await get(options, "/sync?userID=tg-1")).body);
+    assert.equal(byID.updated, true);
+    assert.equal(taggerServer.decode(byID.data).userID, "tg-1");
+    assert.equal(taggerServer.decode(byID.data).keys, undefined);
+
+    assert.equal((await get(options, "/sync?userID=tg-1", OTHER_KEY)).status, 403);
+    assert.equal((await get(options, "/sync?userID=tg-1", null)).status, 403);
+
+    const byParam = JSON.parse((await get(options, "/sync?ip=1.2.3.4")).body);
+    assert.deepEqual(byParam, { updated: false, updatedTime: 0 });
+});
+
+test("a sync about the ID of another device is rejected without leaking its record", async () => {
+    const options = { store: taggerServer.createMemoryStore() };
+    await sync(options, { userID: "tg-1", userParams: { utm_source: "a" }, externalID: "crm-1", updatedTime: 5 });
+
+    const response = await sync(options, { userID: "tg-1", userParams: { utm_source: "b" }, updatedTime: 1 }, {}, OTHER_KEY);
+    assert.equal(response.status, 403);
+    assert.deepEqual(JSON.parse(response.body), { error: "Forbidden" });
+    assert.equal((await sync(options, { userID: "tg-1", updatedTime: 1 }, {}, null)).status, 403);
+
+    const record = await options.store.get("user:tg-1");
+    assert.deepEqual(record.userParams, { utm_source: "a" });
+    assert.equal(record.keys.length, 1);
+});
+
+test("the IP fallback uses the connection address and only returns the params", async () => {
+    const options = { store: taggerServer.createMemoryStore(), ipFallback: true };
+    await sync(options, { userID: "tg-1", userParams: { utm_source: "a" }, externalID: "crm-1", traits: { plan: "pro" }, updatedTime: 1 }, { ip: "10.0.0.1" });
+
+    assert.equal(JSON.parse((await get(options, "/sync?ip=10.0.0.1", null, "10.0.0.2")).body).updated, false);
+
+    const data = taggerServer.decode(JSON.parse((await get(options, "/sync", null, "10.0.0.1")).body).data);
+    assert.deepEqual(data, { userParams: { utm_source: "a" }, updatedTime: 1 });
+});
+
+test("an alias sent by the client moves the alias ID under the kept ID", async () => {
+    const options = { store: taggerServer.createMemoryStore() };
+
+    // The queued request of an instance is the payload the browser posts
+    const client = createTagger({ storage: "memory", honorPrivacySignals: false, remoteSync: true, remoteEndpoint: "https://api.example.com/sync" });
+    client.outboxFlushing = true;
+    const key = client._getSyncKey();
+    await sync(options, { userID: "tg-old", userParams: { utm_source: "a" }, updatedTime: 1 }, {}, key);
+    await sync(options, { userID: "tg-new", userParams: { utm_medium: "b" }, updatedTime: 2 }, {}, key);
+    client._linkAlias("tg-old", "tg-new");
+    const payload = JSON.parse(client._getOutbox()[0].body);
+
+    assert.equal((await post(options, payload, OTHER_KEY)).status, 403);
+    assert.equal((await post(options, payload, payload.key)).status, 200);
+
+    const record = await options.store.get("user:tg-new");
+    assert.equal(await options.store.get("user:tg-old"), null);
+    assert.equal(await options.store.get("alias:tg-old"), "tg-new");
+    assert.deepEqual(record.userParams, { utm_source: "a", utm_medium: "b" });
+    assert.deepEqual(record.aliases.map((alias) => alias.id), ["tg-old"]);
+
+    const response = JSON.parse((await get(options, "/sync?userID=tg-old", key)).body);
+    assert.equal(taggerServer.decode(response.data).userID, "tg-new");
+});
+
+test("an alias ID owned by another device is only listed", async () => {
+    const options = { store: taggerServer.createMemoryStore() };
+    await sync(options, { userID: "tg-other", userParams: { utm_source: "a" }, updatedTime: 1 }, {}, OTHER_KEY);
+    await sync(options, { userID: "tg-1", updatedTime: 2 });
+
+    const alias = { v: 2, type: "alias", data: taggerServer.encode({ userID: "tg-other", aliasOf: "tg-1" }) };
+    assert.equal((await post(options, alias)).status, 200);
+
+    assert.notEqual(await options.store.get("user:tg-other"), null);
+    assert.equal(await options.store.get("alias:tg-other"), null);
+    assert.equal((await options.store.get("user:tg-1")).userParams, undefined);
+    assert.deepEqual((await options.store.get("user:tg-1")).aliases.map((entry) => entry.id), ["tg-other"]);
+});
+
+test("forget needs the key of the user and leaves the IDs of other devices", async () => {
+    const options = { store: taggerServer.createMemoryStore() };
+    await sync(options, { userID: "tg-1", userParams: { utm_source: "a" }, updatedTime: 1 });
+    await sync(options, { userID: "tg-2", userParams: { utm_source: "b" }, updatedTime: 1 }, {}, OTHER_KEY);
+    const payload = { v: 2, type: "forget", data: taggerServer.encode({ userID: "tg-1", aliases: ["tg-2"] }) };
+
+    assert.equal((await post(options, payload, OTHER_KEY)).status, 403);
+    assert.notEqual(await options.store.get("user:tg-1"), null);
+
+    const response = await post(options, payload);
+    assert.deepEqual(JSON.parse(response.body), { deleted: true });
+    assert.equal(await options.store.get("user:tg-1"), null);
+    assert.notEqual(await options.store.get("user:tg-2"), null);
+});
+
+test("authorize replaces the key check", async () => {
+    const options = { store: taggerServer.createMemoryStore(), authorize: async (type) => type === "alias" };
+    const alias = { v: 2, type: "alias", data: taggerServer.encode({ userID: "tg-1", externalID: "crm-1" }) };
+    const forget = { v: 2, type: "forget", data: taggerServer.encode({ userID: "tg-1" }) };
+
+    assert.equal((await post(options, alias, null)).status, 200);
+    assert.equal((await post(options, forget)).status, 403);
+    assert.equal((await sync(options, { userID: "tg-1" })).status, 403);
+});
+
+test("events get an ID and retried batches don't reach onEvents twice", async () => {
+    const received = [];
+    const options = { store: taggerServer.createMemoryStore(), onEvents: async (events) => received.push(...events) };
+    const payload = {
+        v: 2,
+        type: "events",
+        data: taggerServer.encode({
+            events: [
+                { id: "e1", name: "purchase", userID: "tg-1" },
+                { id: "e1", name: "purchase", userID: "tg-1" },
+                { name: "signup", userID: "tg-1" },
+            ],
+        }),
+    };
+
+    await post(options, payload);
+    await post(options, payload);
+
+    assert.equal(received.filter((event) => event.id === "e1").length, 1);
+    assert.ok(received.every((event) => typeof event.id === "string"));
+});
+
+test("the protocol version is read from the header, or from the payload of beacons", async () => {
+    const options = { store: taggerServer.createMemoryStore() };
+    const request = (method, version, body) => taggerServer.handleRequest({ method, url: "/sync", headers: { "X-Tagger-Protocol": version }, body }, options);
+
+    assert.equal((await request("GET", "3")).status, 400);
+    assert.equal((await request("GET", "2")).status, 200);
+    assert.equal((await request("POST", "3", JSON.stringify({ key: KEY, data: taggerServer.encode({ userID: "tg-1" }) }))).status, 400);
+    assert.equal((await post(options, { v: 3, data: taggerServer.encode({ userID: "tg-1" }) })).status, 400);
+});
+
+test("CORS allows the Tagger headers without credentials", async () => {
+    const options = { store: taggerServer.createMemoryStore(), allowedOrigins: ["https://www.example.com"] };
+    const response = await taggerServer.handleRequest({ method: "OPTIONS", headers: { origin: "https://www.example.com" } }, options);
+
+    assert.equal(response.status, 204);
+    assert.equal(response.headers["Access-Control-Allow-Headers"], "Content-Type, X-Tagger-Protocol, X-Tagger-Key");
+    assert.equal(response.headers["Access-Control-Allow-Credentials"], undefined);
+});
+
+test("the handler rejects bodies over maxBodySize", async () => {
+    const handler = taggerServer.createSyncHandler({ maxBodySize: 16 });
+    const req = Object.assign(Readable.from([Buffer.from("x".repeat(64))]), { method: "POST", url: "/sync", headers: {} });
+    const res = { headers: {}, setHeader: (name, value) => (res.headers[name] = value), end: (body) => (res.body = body) };
+
+    await handler(req, res);
+    assert.equal(res.statusCode, 413);
+});
+
+test("signed responses cover the nonce and user ID of the request", async () => {
+    const keys = await taggerServer.generateSigningKeys();
+    const options = { store: taggerServer.createMemoryStore(), signing: { algorithm: "Ed25519", key: keys.privateKey } };
+    await sync(options, { userID: "tg-1", userParams: { utm_source: "a" }, updatedTime: 1 });
+
+    const response = JSON.parse((await get(options, "/sync?userID=tg-1&nonce=n1")).body);
+    const publicKey = await crypto.subtle.importKey("raw", Buffer.from(keys.publicKey, "base64"), { name: "Ed25519" }, false, ["verify"]);
+    const message = ["n1", "tg-1", response.issuedAt, response.data].join(".");
+    assert.ok(await crypto.subtle.verify({ name: "Ed25519" }, publicKey, Buffer.from(response.signature, "base64"), new TextEncoder().encode(message)));
+});
+
+test("responses are signed with Ed25519 only", async () => {
+    const keys = await taggerServer.generateSigningKeys();
+    const signature = await taggerServer.sign("data", { algorithm: "Ed25519", key: keys.privateKey });
+
+    const publicKey = await crypto.subtle.importKey("raw", Buffer.from(keys.publicKey, "base64"), { name: "Ed25519" }, false, ["verify"]);
+    assert.ok(await crypto.subtle.verify({ name: "Ed25519" }, publicKey, Buffer.from(signature, "base64"), new TextEncoder().encode("data")));
+    await assert.rejects(taggerServer.sign("data", { algorithm: "HMAC-SHA256", key: "c2VjcmV0" }));
+});
@@ -0,0 +1,185 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { createTagger } from "../tagger.js";
+
+// Privacy signals are read from navigator, which Node doesn't have
+const create = (config = {}) => createTagger({ storage: "memory", honorPrivacySignals: false, ...config });
+
+/**
+ * Gives a test the browser globals of a page without cookies, restored once it ends.
+ * @param {object} t - The test context.
+ * @param {string} url - The URL of the page.
+ */
+const withPage = (t, url) => {
+    const globals = {
+        window: Object.assign(new EventTarget(), { location: new URL(url) }),
+        document: { cookie: "" },
+        navigator: { userAgent: "Mozilla/5.0 (Test)" },
+    };
+    const descriptors = Object.keys(globals).map((name) => [name, Object.getOwnPropertyDescriptor(globalThis, name)]);
+    for (const name in globals) {
+        Object.defineProperty(globalThis, name, { value: globals[name], configurable: true });
+    }
+    t.after(() => {
+        descriptors.forEach(([name, descriptor]) => (descriptor ? Object.defineProperty(globalThis, name, descriptor) : delete globalThis[name]));
+    });
+};
+
+test("configure() applies over the base config and unset options use the schema defaults", () => {
+    const instance = create({ retryDelay: 500 });
+    const { errors } = instance.configure({ maxRetries: 3, sessionTimeout: -1 });
+
+    assert.equal(errors.length, 1);
+    assert.equal(instance._getOption("retryDelay"), 500);
+    assert.equal(instance._getOption("maxRetries"), 3);
+    assert.equal(instance._getOption("sessionTimeout"), instance.CONFIG_SCHEMA.sessionTimeout.default);
+    assert.deepEqual(instance.getTrackedParams(), instance.CONFIG_SCHEMA.userParams.default);
+});
+
+test("formFields: false passes validation and disables the form fields", () => {
+    const instance = create({ formFields: false });
+
+    assert.deepEqual(instance.validateConfig({ formFields: false }), []);
+    assert.deepEqual(instance.getFormFields(), {});
+});
+
+test("consent mode holds the data in memory and keeps requests back until granted", () => {
+    const values = {};
+    const adapter = {
+        get: (key) => values[key] ?? null,
+        set: (key, value) => (values[key] = value),
+        remove: (key) => delete values[key],
+        keys: () => Object.keys(values),
+    };
+    const instance = create({ storage: [adapter], requireConsent: true, remoteSync: true, remoteEndpoint: "https://api.example.com/sync" });
+    instance.storeData("userID", "tg-1");
+
+    assert.deepEqual(values, {});
+    assert.equal(instance.getData("userID"), "tg-1");
+    assert.equal(instance.hasConsent("analytics"), false);
+    assert.equal(instance._sendRemoteRequest("alias", { userID: "tg-1" }), null);
+
+    instance.consent = { storage: true, analytics: true };
+    instance._flushMemoryStore();
+    assert.deepEqual(Object.keys(values).sort(), ["__tg-userID"]);
+    assert.equal(instance._canDeliverRequest({ type: "sync" }), true);
+});
+
+test("the memory adapter stores encoded values under the storage prefix", () => {
+    const instance = create();
+    instance.storeData("userParams", { utm_source: "google" });
+
+    assert.deepEqual(instance.getData("userParams"), { utm_source: "google" });
+    assert.equal(instance.memoryStore["__tg-userParams"], btoa(encodeURIComponent(JSON.stringify({ utm_source: "google" }))));
+});
+
+test("custom adapters receive the prefixed keys", () => {
+    const values = {};
+    const adapter = {
+        get: (key) => values[key] ?? null,
+        set: (key, value) => (values[key] = value),
+        remove: (key) => delete values[key],
+        keys: () => Object.keys(values),
+    };
+    const instance = create({ storage: [adapter], storagePrefix: "__app-" });
+    instance.storeData("userID", "tg-1");
+
+    assert.deepEqual(Object.keys(values), ["__app-userID"]);
+    assert.equal(instance.getData("userID"), "tg-1");
+});
+
+test("linker tokens carry the user ID and params, and expire after maxAge", (t) => {
+    withPage(t, "https://www.example.com/");
+    const instance = create({ linker: { maxAge: 1000 } });
+    instance.currentUserID = "tg-1";
+    instance.storeData("userParams", { utm_source: "fb" });
+    instance.storeData("userParamsMeta", { utm_source: { time: Date.now() - 1000, origin: "url" } });
+
+    const token = instance.createLinkerToken();
+    const data = instance._parseLinkerToken(token);
+    assert.equal(data.userID, "tg-1");
+    assert.deepEqual(data.userParams, { utm_source: "fb" });
+    assert.deepEqual(data.paramTimes, { utm_source: instance.getData("userParamsMeta").utm_source.time });
+
+    const [version, timestamp, payload] = token.split(".");
+    const expired = (parseInt(timestamp, 36) - 2000).toString(36);
+    const checksum = instance.utilHash([version, expired, payload, navigator.userAgent].join("."));
+    assert.equal(instance._parseLinkerToken([version, expired, payload, checksum].join(".")), null);
+    assert.equal(instance._parseLinkerToken(token.slice(0, -1) + "x"), null);
+});
+
+test("decorate rules are checked in order and exclude rules deny the decoration", (t) => {
+    withPage(t, "https://www.example.com/?utm_source=fb");
+    const instance = create({
+        decorate: [
+            { match: "blog.partner.com", exclude: true },
+            { match: "*.partner.com", forward: { userID: false } },
+        ],
+    });
+    instance.currentUserID = "tg-1";
+    instance.storeData("userParams", { utm_source: "fb" });
+    instance.storeData("userParamsMeta", { utm_source: { time: Date.now(), origin: "url" } });
+
+    assert.equal(instance._getDecorateRule("https://blog.partner.com/"), null);
+    assert.equal(instance._getDecorateRule("https://other.com/"), null);
+    assert.equal(instance._getDecorateRule("mailto:shop@partner.com"), null);
+    assert.equal(instance.decorateURL("https://blog.partner.com/"), "https://blog.partner.com/");
+    assert.equal(instance.decorateURL("https://shop.partner.com/?utm_source=kept"), "https://shop.partner.com/?utm_source=kept");
+    assert.equal(instance.decorateURL("https://shop.partner.com/"), "https://shop.partner.com/?utm_source=fb");
+});
+
+test("the registrable domain is resolved with the public suffix list", () => {
+    const instance = create();
+
+    assert.equal(instance.utilGetRegistrableDomain("shop.example.co.uk"), "example.co.uk");
+    assert.equal(instance.utilGetRegistrableDomain("www.example.com"), "example.com");
+    assert.equal(instance.utilGetRegistrableDomain("a.b.example.com.au"), "example.com.au");
+    assert.equal(instance.utilGetRegistrableDomain("co.uk"), null);
+    assert.equal(instance.utilGetRegistrableDomain("localhost"), null);
+    assert.equal(instance.utilGetRegistrableDomain("192.168.0.1"), null);
+});
+
+test("the outbox is never written to cookies", () => {
+    const instance = create({ storage: "cookie+memory" });
+    assert.deepEqual(instance._getStorageAdapters("__tg-outbox"), [instance.storageBackends.memory]);
+});
+
+test("param conflicts are resolved with the merge policy", () => {
+    const now = Date.now();
+    const local = { value: "local", time: now - 100, origin: "url", deleted: false };
+    const remote = { value: "remote", time: now - 200, origin: "remote", deleted: false };
+
+    assert.equal(create().resolveParamConflict("utm_source", local, remote), local);
+    assert.equal(create({ mergePolicy: "first-write-wins" }).resolveParamConflict("utm_source", local, remote), remote);
+    assert.equal(create({ mergePolicy: (param, a, b) => b }).resolveParamConflict("utm_source", local, remote), remote);
+
+    const instance = create();
+    instance.storeData("userParams", { utm_source: "local", utm_medium: "cpc" });
+    instance.storeData("userParamsMeta", { utm_source: { time: now - 100, origin: "url" }, utm_medium: { time: now - 100, origin: "url" } });
+    const merged = instance._mergeUserParams({
+        userParams: { utm_source: "remote", utm_campaign: "spring" },
+        userParamsMeta: { utm_source: { time: now - 200 }, utm_campaign: { time: now - 150 }, utm_medium: { time: now - 50, deleted: true } },
+    });
+
+    assert.deepEqual(merged.params, { utm_source: "local", utm_campaign: "spring" });
+    assert.equal(merged.meta.utm_medium.deleted, true);
+    assert.equal(merged.conflicts.length, 2);
+    assert.equal(merged.needsPush, true);
+});
+
+test("instances keep their state apart", () => {
+    const first = create({ storagePrefix: "__a-" });
+    const second = create({ storagePrefix: "__b-" });
+    first.storeData("userID", "tg-a");
+
+    assert.equal(second.getData("userID"), null);
+    assert.notEqual(first.memoryStore, second.memoryStore);
+    assert.notEqual(first.deliveringRequests, second.deliveringRequests);
+});
+
+test("instances with another prefix namespace their form fields", () => {
+    assert.equal(create().getFormFields().user_id, "user_id");
+    assert.equal(create({ storagePrefix: "__w-" }).getFormFields().user_id, "__w-user_id");
+    assert.equal(create({ storagePrefix: "__w-", formFields: { user_id: "visitor" } }).getFormFields().user_id, "visitor");
+});